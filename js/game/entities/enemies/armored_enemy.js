@@ -0,0 +1,51 @@
+class ArmoredEnemy extends BasicEnemy {
+    constructor(mapSystem, startGridX, startGridY, targetGridX, targetGridY, enemyManager) {
+        super(mapSystem, startGridX, startGridY, targetGridX, targetGridY, enemyManager);
+
+        // Stats - slow and tanky. Flat armor cuts every hit (see BasicEnemy.calculateDamage),
+        // so many weak shots do little while heavy hits and beams still get through.
+        this.name = "Armored Enemy";
+        this.hp = 120;
+        this.maxHp = 120;
+        this.speed = 35;
+        this.currentSpeed = this.speed;
+        this.cashValue = 20;
+        this.damageToBase = 15;
+        this.armor = { physical: 6, energy: 3, explosive: 4 };
+        this.immunities = ['poison']; // Plating keeps toxins out; armor_shred still works
+        this.radius = this.mapSystem.cellSize * 0.35;
+        this.hpBarWidth = this.radius * 2;
+
+        // Visuals
+        this.color = '#78909C'; // Steel grey
+        this.borderColor = '#263238';
+        this.plateColor = '#B0BEC5';
+
+        console.log("ArmoredEnemy created.");
+    }
+
+    draw(ctx) {
+        if (!this.isActive) return;
+
+        // Armor plating: a hexagon around the body
+        ctx.beginPath();
+        for (let i = 0; i < 6; i++) {
+            const angle = Math.PI / 3 * i;
+            const px = this.x + Math.cos(angle) * (this.radius + 3);
+            const py = this.y + Math.sin(angle) * (this.radius + 3);
+            if (i === 0) ctx.moveTo(px, py);
+            else ctx.lineTo(px, py);
+        }
+        ctx.closePath();
+        ctx.fillStyle = this.plateColor;
+        ctx.fill();
+        ctx.strokeStyle = this.borderColor;
+        ctx.lineWidth = 2;
+        ctx.stroke();
+
+        super.draw(ctx);
+    }
+}
+
+// Registered in main.js:
+// this.waveManager.registerEnemyType('ArmoredEnemy', ArmoredEnemy, { ... });
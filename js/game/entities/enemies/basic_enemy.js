@@ -22,12 +22,28 @@ class BasicEnemy {
         this.recalculatePath(); // Get initial path
 
         // Stats
+        this.name = "Basic Enemy";
         this.hp = 50; // Health points
         this.maxHp = 50;
         this.speed = 50; // Pixels per second
+        this.currentSpeed = this.speed; // Speed after effects (e.g. slow), updated every frame
         this.cashValue = 10; // Cash awarded on defeat
         this.radius = this.mapSystem.cellSize * 0.3; // For collision detection and drawing
         this.damageToBase = 10; // Damage dealt if it reaches the base
+        this.isFlying = false; // Flying enemies ignore the ground path, see FlyingEnemy and EnemyManager.canHitEnemy
+
+        // Defenses per damage type (see BasicEnemy.DAMAGE_TYPES)
+        this.armor = { physical: 0, energy: 0, explosive: 0 }; // Flat reduction per hit
+        this.resistances = { physical: 0, energy: 0, explosive: 0 }; // Fraction of damage ignored (0..1)
+        this.maxArmorReduction = 0.9; // Armor can't remove more than this share of a hit
+
+        // Shield pool, absorbs damage before HP. None by default; wave mods can add one (see WaveManager._applyWaveMods)
+        this.maxShield = 0;
+        this.shield = 0;
+        this.shieldRegenDelay = 2; // Seconds without taking damage before the shield starts regenerating
+        this.shieldRegenRate = 15; // Shield points per second
+        this.shieldDamageTypeMultipliers = { physical: 1, energy: 1.5, explosive: 0.5 }; // Damage to the shield per type, must be > 0
+        this.timeSinceDamaged = 0;
 
         this.isActive = true; // Becomes false on death or reaching base
 
@@ -38,26 +54,26 @@ class BasicEnemy {
         this.hpBarWidth = this.radius * 2;
         this.hpBarColor = 'red';
         this.hpBarBackgroundColor = 'darkgreen'; // Opposite of player base for contrast
+        this.shieldBarHeight = 3;
+        this.shieldBarColor = '#40C4FF';
         
-        // Effects (e.g., slow, DoT) - TD-PLAN 5.2
-        this.effects = []; // Array of effect objects { type, duration, strength, update(), onEnd() }
+        // Status effects (e.g., slow, DoT) - TD-PLAN 5.2, see StatusEffects for the definitions
+        this.effects = []; // Active effects { type, definition, duration, strength, stacks, source }
+        this.immunities = []; // Status effect types that are never applied to this enemy
+        this.minSpeedMultiplier = 0.2; // Slows can never bring the enemy below this fraction of its speed
 
         console.log(`BasicEnemy created at (${this.x.toFixed(2)}, ${this.y.toFixed(2)}) targeting (${targetGridX}, ${targetGridY})`);
     }
 
+    // Paths from the cell the enemy is in now, not from where it spawned (startGridX/Y),
+    // so enemies that re-path mid-way or continue another enemy's route don't jump back.
     recalculatePath() {
-        this.path = this.mapSystem.findPath(this.startGridX, this.startGridY, this.targetGridX, this.targetGridY);
+        const currentGridPos = this.mapSystem.worldToGrid(this.x, this.y);
+        this.path = this.mapSystem.findPath(currentGridPos.x, currentGridPos.y, this.targetGridX, this.targetGridY);
         if (!this.path || this.path.length === 0) {
-            console.warn("BasicEnemy: No path found or path is empty.");
-            // This enemy might be stuck or the map changed.
-            // It could try finding a path from its current grid cell if startGridX/Y is not current.
-            const currentGridPos = this.mapSystem.worldToGrid(this.x, this.y);
-            this.path = this.mapSystem.findPath(currentGridPos.x, currentGridPos.y, this.targetGridX, this.targetGridY);
-            if (!this.path || this.path.length === 0) {
-                console.error("BasicEnemy: Still no path from current location. Enemy is stuck.");
-                this.isActive = false; // Consider deactivating if truly stuck
-                return;
-            }
+            console.error("BasicEnemy: No path from current location. Enemy is stuck.");
+            this.isActive = false; // Consider deactivating if truly stuck
+            return;
         }
         this.currentPathIndex = 0; // Reset path index
         // The first point in the path is usually the start cell itself.
@@ -78,54 +94,214 @@ class BasicEnemy {
         this.recalculatePath();
     }
 
-    takeDamage(amount) {
+    // Takes over another enemy's position and remaining path, e.g. the children of a SplittingEnemy
+    continueFrom(otherEnemy, offsetX = 0, offsetY = 0) {
+        this.x = otherEnemy.x + offsetX;
+        this.y = otherEnemy.y + offsetY;
+        const currentGridPos = this.mapSystem.worldToGrid(otherEnemy.x, otherEnemy.y);
+        this.startGridX = currentGridPos.x;
+        this.startGridY = currentGridPos.y;
+        if (otherEnemy.path) {
+            this.path = otherEnemy.path.slice();
+            this.currentPathIndex = otherEnemy.currentPathIndex;
+        } else {
+            this.recalculatePath();
+        }
+    }
+
+    // Distance left to walk, in pixels: to the next waypoint, then cell by cell to the end of the path
+    getRemainingPathDistance() {
+        if (!this.path || this.currentPathIndex >= this.path.length) return 0;
+        const nextCell = this.path[this.currentPathIndex];
+        const nextPos = this.mapSystem.gridToWorld(nextCell.x, nextCell.y, true);
+        const dx = nextPos.x - this.x;
+        const dy = nextPos.y - this.y;
+        const cellsAfterNext = this.path.length - 1 - this.currentPathIndex;
+        return Math.sqrt(dx * dx + dy * dy) + cellsAfterNext * this.mapSystem.cellSize;
+    }
+
+    // Resistances scale every hit. Flat armor is per hit, so continuous sources
+    // (beams, damage over time) pass isContinuous and skip it.
+    // Status effects can shred armor and raise the damage taken (e.g. armor_shred, vulnerability).
+    calculateDamage(amount, damageType = 'physical', isContinuous = false) {
+        const resistance = this.resistances[damageType] || 0;
+        const afterResistance = amount * (1 - Math.min(1, Math.max(0, resistance))) * this.getEffectMultiplier('damageTakenMultiplier');
+        if (isContinuous) return afterResistance;
+
+        const armor = Math.max(0, (this.armor[damageType] || 0) - this.getEffectTotal('armorReduction'));
+        return Math.max(afterResistance * (1 - this.maxArmorReduction), afterResistance - armor);
+    }
+
+    // Where the enemy will be after `seconds`, walking its remaining path at its current speed
+    predictPosition(seconds) {
+        let distanceLeft = this.currentSpeed * seconds;
+        let predictedX = this.x;
+        let predictedY = this.y;
+        if (!this.path) return { x: predictedX, y: predictedY };
+
+        for (let i = this.currentPathIndex; i < this.path.length && distanceLeft > 0; i++) {
+            const waypoint = this.mapSystem.gridToWorld(this.path[i].x, this.path[i].y, true);
+            const dx = waypoint.x - predictedX;
+            const dy = waypoint.y - predictedY;
+            const segmentLength = Math.sqrt(dx * dx + dy * dy);
+            if (segmentLength >= distanceLeft) {
+                predictedX += (dx / segmentLength) * distanceLeft;
+                predictedY += (dy / segmentLength) * distanceLeft;
+                distanceLeft = 0;
+            } else {
+                predictedX = waypoint.x;
+                predictedY = waypoint.y;
+                distanceLeft -= segmentLength;
+            }
+        }
+        return { x: predictedX, y: predictedY };
+    }
+
+    // source is the tower that dealt the damage (optional). It is credited for the damage and the kill.
+    takeDamage(amount, damageType = 'physical', isContinuous = false, source = null) {
         if (!this.isActive) return;
-        this.hp -= amount;
+        this.timeSinceDamaged = 0;
+        const damage = this.calculateDamage(amount, damageType, isContinuous);
+        const shieldBefore = this.shield;
+        const hpDamage = Math.min(this.hp, this.absorbWithShield(damage, damageType));
+        const damageDealt = (shieldBefore - this.shield) + hpDamage;
+        this.hp -= hpDamage;
+        if (source && typeof source.onDamageDealt === 'function') {
+            source.onDamageDealt(this, damageDealt);
+        }
         if (this.hp <= 0) {
             this.hp = 0;
-            this.onDie();
+            this.onDie(source);
+        }
+    }
+
+    // Drains the shield first and returns the damage left over for HP.
+    // The shield takes damage scaled by shieldDamageTypeMultipliers; the leftover is scaled back.
+    absorbWithShield(damage, damageType = 'physical') {
+        if (this.shield <= 0 || damage <= 0) return damage;
+        const multiplier = this.shieldDamageTypeMultipliers[damageType] || 1;
+        const shieldDamage = damage * multiplier;
+        if (shieldDamage <= this.shield) {
+            this.shield -= shieldDamage;
+            return 0;
+        }
+        const leftover = (shieldDamage - this.shield) / multiplier;
+        this.shield = 0;
+        return leftover;
+    }
+
+    updateShield(dt) {
+        this.timeSinceDamaged += dt;
+        if (this.maxShield > 0 && this.shield < this.maxShield && this.timeSinceDamaged >= this.shieldRegenDelay) {
+            this.shield = Math.min(this.maxShield, this.shield + this.shieldRegenRate * dt);
         }
     }
 
+    // For the enemy tooltip
+    getInfo() {
+        return {
+            name: this.name,
+            hp: this.hp,
+            maxHp: this.maxHp,
+            shield: this.shield,
+            maxShield: this.maxShield,
+            speed: this.speed,
+            armor: { ...this.armor },
+            resistances: { ...this.resistances },
+            effects: this.effects.map(effect => effect.stacks > 1 ? `${effect.type} x${effect.stacks}` : effect.type),
+            immunities: [...this.immunities]
+        };
+    }
+
     heal(amount) { // TD-PLAN 5.2
         if (!this.isActive) return;
         this.hp = Math.min(this.hp + amount, this.maxHp);
     }
     
-    addEffect(effect) { // TD-PLAN 5.2
-        // Remove existing effect of the same type to restart it, or stack if allowed
-        // For simplicity, let's assume effects don't stack and a new one replaces old of same type
+    // Applies a status effect registered with EnemyManager.registerStatusEffect(), following its stacking policy.
+    // options: { duration, strength, source }, missing values come from the definition.
+    // Returns false if the effect wasn't applied (immune, weaker than the active one, unknown type).
+    applyStatusEffect(type, options = {}) { // TD-PLAN 5.2
+        if (!this.isActive || this.immunities.includes(type)) return false;
+        const definition = this.enemyManager.getStatusEffect(type);
+        if (!definition) {
+            console.warn(`BasicEnemy: Unknown status effect "${type}".`);
+            return false;
+        }
+        const duration = options.duration !== undefined ? options.duration : definition.duration;
+        const strength = options.strength !== undefined ? options.strength : definition.strength;
+        const source = options.source || null;
+
+        const existing = this.getEffect(type);
+        if (existing) {
+            if (definition.stacking === 'stack') {
+                existing.stacks = Math.min(existing.stacks + 1, definition.maxStacks || 1);
+                existing.strength = Math.max(existing.strength, strength);
+                existing.duration = Math.max(existing.duration, duration);
+                existing.source = source || existing.source;
+                return true;
+            }
+            if (definition.stacking === 'strongest') {
+                if (strength < existing.strength) return false; // Stronger one already applied
+                if (strength === existing.strength) {
+                    existing.duration = Math.max(existing.duration, duration);
+                    return true;
+                }
+            }
+            // 'refresh', or a stronger 'strongest' effect: replaced below
+        }
+        this.addEffect({ type, definition, duration, strength, stacks: 1, source });
+        return true;
+    }
+
+    // Replaces any active effect of the same type. Use applyStatusEffect() to respect stacking policies.
+    addEffect(effect) {
         this.effects = this.effects.filter(e => e.type !== effect.type);
         this.effects.push(effect);
-        if (effect.onApply) effect.onApply(this);
-        console.log(`Effect ${effect.type} applied to enemy.`);
+        if (effect.definition.onApply) effect.definition.onApply(this, effect);
+    }
+
+    getEffect(type) {
+        return this.effects.find(e => e.type === type) || null;
+    }
+
+    // Product of a multiplier hook (e.g. 'speedMultiplier') over all active effects
+    getEffectMultiplier(hookName) {
+        let multiplier = 1;
+        for (const effect of this.effects) {
+            if (effect.definition[hookName]) multiplier *= effect.definition[hookName](effect);
+        }
+        return multiplier;
+    }
+
+    // Sum of an additive hook (e.g. 'armorReduction') over all active effects
+    getEffectTotal(hookName) {
+        let total = 0;
+        for (const effect of this.effects) {
+            if (effect.definition[hookName]) total += effect.definition[hookName](effect);
+        }
+        return total;
     }
 
+    // Ticks effects (damage over time etc.), drops expired ones and returns the speed multiplier
     updateEffects(dt) {
-        let currentSpeedMultiplier = 1.0;
         for (let i = this.effects.length - 1; i >= 0; i--) {
             const effect = this.effects[i];
-            if (effect.update) effect.update(this, dt); // Effect might modify enemy directly
-            
-            if (effect.duration !== undefined) {
-                effect.duration -= dt;
-                if (effect.duration <= 0) {
-                    if (effect.onEnd) effect.onEnd(this);
-                    this.effects.splice(i, 1);
-                    console.log(`Effect ${effect.type} ended.`);
-                }
-            }
-            // Example: Slow effect directly modifies speed multiplier
-            if (effect.type === 'slow' && effect.speedMultiplier) {
-                currentSpeedMultiplier *= effect.speedMultiplier;
+            if (effect.definition.update) effect.definition.update(this, effect, dt); // Effect might modify enemy directly
+
+            effect.duration -= dt;
+            if (effect.duration <= 0) {
+                if (effect.definition.onEnd) effect.definition.onEnd(this, effect);
+                this.effects.splice(i, 1);
             }
         }
-        return currentSpeedMultiplier; // Return aggregate speed multiplier
+        if (this.effects.some(effect => effect.definition.stopsMovement)) return 0; // Stunned or frozen
+        return Math.max(this.getEffectMultiplier('speedMultiplier'), this.minSpeedMultiplier);
     }
 
-    onDie() {
+    onDie(killer = null) {
         this.isActive = false;
-        this.enemyManager.handleEnemyDefeated(this, this.cashValue);
+        this.enemyManager.handleEnemyDefeated(this, this.cashValue, killer);
         console.log("BasicEnemy died.");
         // Could trigger an animation or particle effect here via an event
     }
@@ -145,8 +321,11 @@ class BasicEnemy {
             return;
         }
 
+        this.updateShield(dt);
         const speedMultiplier = this.updateEffects(dt); // Update active effects and get speed mod
+        if (!this.isActive) return; // Killed by damage over time, so it can't also reach the base this frame
         const currentSpeed = this.speed * speedMultiplier;
+        this.currentSpeed = currentSpeed;
 
         const targetGridCell = this.path[this.currentPathIndex];
         const targetWorldPos = this.mapSystem.gridToWorld(targetGridCell.x, targetGridCell.y, true); // Move towards center of cell
@@ -193,7 +372,13 @@ class BasicEnemy {
         ctx.lineWidth = 2;
         ctx.stroke();
 
-        // HP Bar
+        this.drawHpBar(ctx);
+        this.drawShieldBar(ctx);
+        this.drawEffects(ctx);
+    }
+
+    // Subclasses with their own body shape reuse these
+    drawHpBar(ctx) {
         if (this.hp < this.maxHp) {
             const barX = this.x - this.radius;
             const barY = this.y - this.radius - this.hpBarHeight - 2; // Position above the enemy
@@ -209,14 +394,31 @@ class BasicEnemy {
             ctx.lineWidth = 1;
             ctx.strokeRect(barX, barY, this.hpBarWidth, this.hpBarHeight);
         }
-        
-        // Draw effects (e.g., a blueish tint for slow)
+    }
+
+    // Drawn right above the HP bar's spot, whenever the enemy has a shield pool
+    drawShieldBar(ctx) {
+        if (this.maxShield <= 0) return;
+        const barX = this.x - this.radius;
+        const barY = this.y - this.radius - this.hpBarHeight - 2 - this.shieldBarHeight - 1;
+
+        ctx.fillStyle = this.hpBarBackgroundColor;
+        ctx.fillRect(barX, barY, this.hpBarWidth, this.shieldBarHeight);
+        ctx.fillStyle = this.shieldBarColor;
+        ctx.fillRect(barX, barY, (this.shield / this.maxShield) * this.hpBarWidth, this.shieldBarHeight);
+    }
+
+    drawEffects(ctx) {
+        // Each effect draws its own indicator (e.g., a blue ring for slow)
         this.effects.forEach(effect => {
-            if (effect.draw) effect.draw(ctx, this);
+            if (effect.definition.draw) effect.definition.draw(ctx, this, effect);
         });
     }
 }
 
+// Damage types used by munitions and enemy defenses
+BasicEnemy.DAMAGE_TYPES = ['physical', 'energy', 'explosive'];
+
 // Example usage in main.js or EnemyManager:
 // Assuming mapSystem, enemyManager, playerBase (for target coords) are available
 // const startSpawn = mapSystem.getEnemySpawnCoords()[0]; // Get first spawn point
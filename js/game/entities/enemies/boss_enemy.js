@@ -0,0 +1,168 @@
+class BossEnemy extends BasicEnemy {
+    constructor(mapSystem, startGridX, startGridY, targetGridX, targetGridY, enemyManager) {
+        super(mapSystem, startGridX, startGridY, targetGridX, targetGridY, enemyManager);
+
+        // Stats - milestone unit with a huge HP pool. EnemyManager announces arrival and defeat
+        // ('bossArrived' / 'bossDefeated'), CashManager pays the bounty on defeat.
+        this.name = "Boss";
+        this.isBoss = true;
+        this.hp = 1500;
+        this.maxHp = 1500;
+        this.speed = 25;
+        this.currentSpeed = this.speed;
+        this.cashValue = 50;
+        this.bounty = 250; // Paid on top of cashValue
+        this.damageToBase = 50;
+        this.armor = { physical: 3, energy: 0, explosive: 2 };
+        this.immunities = ['stun', 'freeze']; // Crowd control would trivialize the fight
+        this.radius = this.mapSystem.cellSize * 0.45;
+        this.hpBarWidth = this.radius * 2;
+
+        // Minions, spawned at the boss's current cell
+        this.minionClass = BasicEnemy;
+        this.minionsPerSpawn = 2;
+        this.minionInterval = 8; // Seconds between regular minion spawns
+        this.timeToNextMinions = this.minionInterval;
+
+        // Phases, entered once each when HP drops to hpRatio of maxHp (highest ratio first)
+        this.phases = [
+            { name: 'Enraged', hpRatio: 0.66, speedBurst: { multiplier: 1.8, duration: 4 }, minions: 3 },
+            { name: 'Shielded', hpRatio: 0.33, shield: { damageMultiplier: 0.25, duration: 5 }, minions: 5 }
+        ];
+        this.phaseIndex = 0; // Next phase to enter
+        this.currentPhaseName = null;
+        this.speedBurstMultiplier = 1;
+        this.speedBurstTimeLeft = 0;
+        this.shieldDamageMultiplier = 1;
+        this.shieldTimeLeft = 0;
+
+        // Visuals
+        this.color = '#4A148C'; // Deep purple
+        this.borderColor = '#FFD54F'; // Gold
+        this.hpBarColor = '#E040FB';
+
+        console.log("BossEnemy created.");
+    }
+
+    update(dt) {
+        super.update(dt);
+        if (!this.isActive) return;
+
+        this.speedBurstTimeLeft = Math.max(0, this.speedBurstTimeLeft - dt);
+        this.shieldTimeLeft = Math.max(0, this.shieldTimeLeft - dt);
+
+        this.timeToNextMinions -= dt;
+        if (this.timeToNextMinions <= 0) {
+            this.timeToNextMinions = this.minionInterval;
+            this.spawnMinions(this.minionsPerSpawn);
+        }
+    }
+
+    // The speed burst goes on top of slows and other effects
+    updateEffects(dt) {
+        const speedMultiplier = super.updateEffects(dt);
+        return this.speedBurstTimeLeft > 0 ? speedMultiplier * this.speedBurstMultiplier : speedMultiplier;
+    }
+
+    calculateDamage(amount, damageType = 'physical', isContinuous = false) {
+        const damage = super.calculateDamage(amount, damageType, isContinuous);
+        return this.shieldTimeLeft > 0 ? damage * this.shieldDamageMultiplier : damage;
+    }
+
+    takeDamage(amount, damageType = 'physical', isContinuous = false, source = null) {
+        super.takeDamage(amount, damageType, isContinuous, source);
+        if (!this.isActive) return;
+
+        this._emit('bossHealthChanged', { boss: this, hp: this.hp, maxHp: this.maxHp });
+        while (this.phaseIndex < this.phases.length && this.hp <= this.maxHp * this.phases[this.phaseIndex].hpRatio) {
+            this._enterPhase(this.phases[this.phaseIndex]);
+            this.phaseIndex++;
+        }
+    }
+
+    _enterPhase(phase) {
+        this.currentPhaseName = phase.name;
+        if (phase.speedBurst) {
+            this.speedBurstMultiplier = phase.speedBurst.multiplier;
+            this.speedBurstTimeLeft = phase.speedBurst.duration;
+        }
+        if (phase.shield) {
+            this.shieldDamageMultiplier = phase.shield.damageMultiplier;
+            this.shieldTimeLeft = phase.shield.duration;
+        }
+        if (phase.minions) {
+            this.spawnMinions(phase.minions);
+        }
+        console.log(`BossEnemy entered phase "${phase.name}".`);
+        this._emit('bossPhaseChanged', { boss: this, phase: phase.name });
+    }
+
+    // Minions start at the boss's cell and path from there to the base
+    spawnMinions(count) {
+        const gridPos = this.mapSystem.worldToGrid(this.x, this.y);
+        for (let i = 0; i < count; i++) {
+            const minion = new this.minionClass(
+                this.mapSystem,
+                gridPos.x,
+                gridPos.y,
+                this.targetGridX,
+                this.targetGridY,
+                this.enemyManager
+            );
+            this.enemyManager.addEnemy(minion);
+        }
+        console.log(`BossEnemy spawned ${count} minions.`);
+    }
+
+    _emit(eventName, data) {
+        if (this.enemyManager.eventEmitter) this.enemyManager.eventEmitter.emit(eventName, data);
+    }
+
+    getInfo() {
+        const info = super.getInfo();
+        if (this.currentPhaseName) info.name = `${this.name} (${this.currentPhaseName})`;
+        return info;
+    }
+
+    draw(ctx) {
+        if (!this.isActive) return;
+
+        // Speed burst: a fading trail behind the boss
+        if (this.speedBurstTimeLeft > 0) {
+            ctx.beginPath();
+            ctx.arc(this.x, this.y, this.radius + 6, 0, Math.PI * 2);
+            ctx.fillStyle = 'rgba(255, 112, 67, 0.35)';
+            ctx.fill();
+        }
+
+        super.draw(ctx);
+
+        // Crown: three gold spikes on top
+        const crownBaseY = this.y - this.radius * 0.2;
+        ctx.beginPath();
+        ctx.moveTo(this.x - this.radius * 0.6, crownBaseY);
+        ctx.lineTo(this.x - this.radius * 0.6, crownBaseY - this.radius * 0.6);
+        ctx.lineTo(this.x - this.radius * 0.3, crownBaseY - this.radius * 0.3);
+        ctx.lineTo(this.x, crownBaseY - this.radius * 0.7);
+        ctx.lineTo(this.x + this.radius * 0.3, crownBaseY - this.radius * 0.3);
+        ctx.lineTo(this.x + this.radius * 0.6, crownBaseY - this.radius * 0.6);
+        ctx.lineTo(this.x + this.radius * 0.6, crownBaseY);
+        ctx.closePath();
+        ctx.fillStyle = this.borderColor;
+        ctx.fill();
+
+        // Shield phase: a bubble around the boss
+        if (this.shieldTimeLeft > 0) {
+            ctx.beginPath();
+            ctx.arc(this.x, this.y, this.radius + 5, 0, Math.PI * 2);
+            ctx.fillStyle = 'rgba(129, 212, 250, 0.25)';
+            ctx.fill();
+            ctx.strokeStyle = 'rgba(129, 212, 250, 0.9)';
+            ctx.lineWidth = 2;
+            ctx.stroke();
+        }
+    }
+}
+
+// Registered in main.js:
+// this.waveManager.registerEnemyType('BossEnemy', BossEnemy, { ... });
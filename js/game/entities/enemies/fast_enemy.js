@@ -0,0 +1,61 @@
+class FastEnemy extends BasicEnemy {
+    constructor(mapSystem, startGridX, startGridY, targetGridX, targetGridY, enemyManager) {
+        super(mapSystem, startGridX, startGridY, targetGridX, targetGridY, enemyManager);
+
+        // Stats - fragile, but rushes past towers that turn or fire slowly
+        this.name = "Fast Enemy";
+        this.hp = 25;
+        this.maxHp = 25;
+        this.speed = 100;
+        this.currentSpeed = this.speed;
+        this.cashValue = 8;
+        this.damageToBase = 5;
+        this.radius = this.mapSystem.cellSize * 0.22;
+        this.hpBarWidth = this.radius * 2;
+
+        this.heading = 0; // Direction of travel, for drawing
+
+        // Visuals
+        this.color = '#FFEE58'; // Yellow
+        this.borderColor = '#F57F17';
+
+        console.log("FastEnemy created.");
+    }
+
+    update(dt) {
+        const previousX = this.x;
+        const previousY = this.y;
+        super.update(dt);
+        if (this.x !== previousX || this.y !== previousY) {
+            this.heading = Math.atan2(this.y - previousY, this.x - previousX);
+        }
+    }
+
+    draw(ctx) {
+        if (!this.isActive) return;
+
+        // Arrowhead pointing where it's going, instead of the round body
+        ctx.save();
+        ctx.translate(this.x, this.y);
+        ctx.rotate(this.heading);
+        ctx.beginPath();
+        ctx.moveTo(this.radius * 1.4, 0);
+        ctx.lineTo(-this.radius, -this.radius);
+        ctx.lineTo(-this.radius * 0.5, 0);
+        ctx.lineTo(-this.radius, this.radius);
+        ctx.closePath();
+        ctx.fillStyle = this.color;
+        ctx.fill();
+        ctx.strokeStyle = this.borderColor;
+        ctx.lineWidth = 2;
+        ctx.stroke();
+        ctx.restore();
+
+        this.drawHpBar(ctx);
+        this.drawShieldBar(ctx);
+        this.drawEffects(ctx);
+    }
+}
+
+// Registered in main.js:
+// this.waveManager.registerEnemyType('FastEnemy', FastEnemy, { ... });
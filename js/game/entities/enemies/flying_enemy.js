@@ -0,0 +1,72 @@
+class FlyingEnemy extends BasicEnemy {
+    constructor(mapSystem, startGridX, startGridY, targetGridX, targetGridY, enemyManager) {
+        super(mapSystem, startGridX, startGridY, targetGridX, targetGridY, enemyManager);
+
+        // Stats - flies straight at the base, over towers and obstacles, so mazing doesn't slow it.
+        // Only towers whose targetLayers include air can shoot it.
+        this.name = "Flying Enemy";
+        this.isFlying = true;
+        this.hp = 40;
+        this.maxHp = 40;
+        this.speed = 60;
+        this.currentSpeed = this.speed;
+        this.cashValue = 12;
+        this.damageToBase = 10;
+        this.radius = this.mapSystem.cellSize * 0.25;
+        this.hpBarWidth = this.radius * 2;
+        this.flightHeight = this.mapSystem.cellSize * 0.3; // Drawn this far above its shadow
+
+        // Visuals
+        this.color = '#80DEEA'; // Sky cyan
+        this.borderColor = '#00838F';
+        this.wingColor = '#E0F7FA';
+
+        console.log("FlyingEnemy created.");
+    }
+
+    // Straight line from the start cell to the base, MapSystem.findPath is never used.
+    // Keeping it a two-point path lets predictPosition() and getRemainingPathDistance() work unchanged.
+    recalculatePath() {
+        this.path = [
+            { x: this.startGridX, y: this.startGridY },
+            { x: this.targetGridX, y: this.targetGridY }
+        ];
+        this.currentPathIndex = 1;
+    }
+
+    // Towers and obstacles don't affect flyers (EnemyManager.updateAllEnemyPaths calls this)
+    onMapStructureChanged() {}
+
+    draw(ctx) {
+        if (!this.isActive) return;
+
+        // Shadow on the ground at the actual position, which is where towers aim
+        ctx.beginPath();
+        ctx.arc(this.x, this.y, this.radius * 0.8, 0, Math.PI * 2);
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.25)';
+        ctx.fill();
+
+        // Wings and body, raised above the shadow
+        const bodyY = this.y - this.flightHeight;
+        ctx.beginPath();
+        ctx.ellipse(this.x - this.radius, bodyY, this.radius, this.radius * 0.4, -0.3, 0, Math.PI * 2);
+        ctx.ellipse(this.x + this.radius, bodyY, this.radius, this.radius * 0.4, 0.3, 0, Math.PI * 2);
+        ctx.fillStyle = this.wingColor;
+        ctx.fill();
+
+        ctx.beginPath();
+        ctx.arc(this.x, bodyY, this.radius * 0.7, 0, Math.PI * 2);
+        ctx.fillStyle = this.color;
+        ctx.fill();
+        ctx.strokeStyle = this.borderColor;
+        ctx.lineWidth = 2;
+        ctx.stroke();
+
+        this.drawHpBar(ctx);
+        this.drawShieldBar(ctx);
+        this.drawEffects(ctx);
+    }
+}
+
+// Registered in main.js:
+// this.waveManager.registerEnemyType('FlyingEnemy', FlyingEnemy, { ... });
@@ -0,0 +1,78 @@
+class HealerEnemy extends BasicEnemy {
+    constructor(mapSystem, startGridX, startGridY, targetGridX, targetGridY, enemyManager) {
+        super(mapSystem, startGridX, startGridY, targetGridX, targetGridY, enemyManager);
+
+        // Stats - weak on its own, keeps the enemies around it alive. Kill it first.
+        this.name = "Healer Enemy";
+        this.hp = 60;
+        this.maxHp = 60;
+        this.speed = 45;
+        this.currentSpeed = this.speed;
+        this.cashValue = 15;
+        this.damageToBase = 10;
+        this.healAmount = 10; // HP restored to each ally per pulse
+        this.healRadius = this.mapSystem.cellSize * 1.5;
+        this.healInterval = 2; // Seconds between pulses
+        this.timeToNextHeal = this.healInterval;
+
+        // Visuals
+        this.color = '#F5F5F5'; // White
+        this.borderColor = '#2E7D32';
+        this.crossColor = '#43A047'; // Green cross
+        this.healPulseDuration = 0.4; // Seconds the heal ring stays visible
+        this.healPulseTimeLeft = 0;
+
+        console.log("HealerEnemy created.");
+    }
+
+    update(dt) {
+        super.update(dt);
+        if (!this.isActive) return;
+
+        this.healPulseTimeLeft = Math.max(0, this.healPulseTimeLeft - dt);
+        this.timeToNextHeal -= dt;
+        if (this.timeToNextHeal <= 0) {
+            this.timeToNextHeal = this.healInterval;
+            this.healAllies();
+        }
+    }
+
+    // Heals every other enemy in range. Doesn't heal itself.
+    healAllies() {
+        const allies = this.enemyManager.getEnemiesInRadius({ x: this.x, y: this.y }, this.healRadius);
+        let healedCount = 0;
+        for (const ally of allies) {
+            if (ally === this || ally.hp >= ally.maxHp || typeof ally.heal !== 'function') continue;
+            ally.heal(this.healAmount);
+            healedCount++;
+        }
+        this.healPulseTimeLeft = this.healPulseDuration;
+        if (healedCount > 0) console.log(`HealerEnemy healed ${healedCount} allies.`);
+    }
+
+    draw(ctx) {
+        if (!this.isActive) return;
+
+        // Expanding ring right after a heal pulse
+        if (this.healPulseTimeLeft > 0) {
+            const progress = 1 - this.healPulseTimeLeft / this.healPulseDuration;
+            ctx.beginPath();
+            ctx.arc(this.x, this.y, this.healRadius * progress, 0, Math.PI * 2);
+            ctx.strokeStyle = `rgba(67, 160, 71, ${1 - progress})`;
+            ctx.lineWidth = 2;
+            ctx.stroke();
+        }
+
+        super.draw(ctx);
+
+        // Green cross on the body
+        const arm = this.radius * 0.6;
+        const thickness = this.radius * 0.35;
+        ctx.fillStyle = this.crossColor;
+        ctx.fillRect(this.x - arm, this.y - thickness / 2, arm * 2, thickness);
+        ctx.fillRect(this.x - thickness / 2, this.y - arm, thickness, arm * 2);
+    }
+}
+
+// Registered in main.js:
+// this.waveManager.registerEnemyType('HealerEnemy', HealerEnemy, { ... });
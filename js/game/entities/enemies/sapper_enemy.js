@@ -0,0 +1,113 @@
+class SapperEnemy extends BasicEnemy {
+    constructor(mapSystem, startGridX, startGridY, targetGridX, targetGridY, enemyManager) {
+        super(mapSystem, startGridX, startGridY, targetGridX, targetGridY, enemyManager);
+
+        // Stats - stops next to towers along its route and wrecks them
+        this.name = "Sapper Enemy";
+        this.hp = 70;
+        this.maxHp = 70;
+        this.speed = 40;
+        this.currentSpeed = this.speed;
+        this.cashValue = 15;
+        this.damageToBase = 10;
+        this.armor = { physical: 2, energy: 0, explosive: 0 };
+        this.attackDamage = 20; // Damage to a tower per hit
+        this.attackInterval = 1; // Seconds between hits
+        this.timeToNextAttack = 0;
+        this.attackTarget = null; // Tower currently being attacked
+
+        // Visuals
+        this.color = '#FF8F00'; // Amber
+        this.borderColor = '#4E342E';
+        this.attackSwing = 0; // Animation timer for the pick
+
+        console.log("SapperEnemy created.");
+    }
+
+    update(dt) {
+        if (!this.isActive) return;
+
+        if (!this._isValidAttackTarget(this.attackTarget)) {
+            this.attackTarget = this._findAdjacentTower();
+            if (this.attackTarget) {
+                this.timeToNextAttack = this.attackInterval / 2; // Short wind-up before the first hit
+                if (this.enemyManager.eventEmitter) {
+                    this.enemyManager.eventEmitter.emit('towerUnderAttack', { tower: this.attackTarget, attacker: this });
+                }
+            }
+        }
+
+        if (!this.attackTarget) {
+            super.update(dt); // Nothing to attack, keep walking
+            return;
+        }
+
+        // Stands still while attacking; effects still tick, and a stun or freeze stops the swings too
+        this.currentSpeed = 0;
+        this.updateShield(dt);
+        if (this.updateEffects(dt) === 0 || !this.isActive) return; // Stunned, or killed by damage over time
+        this.attackSwing += dt;
+        this.timeToNextAttack -= dt;
+        if (this.timeToNextAttack <= 0) {
+            this.timeToNextAttack = this.attackInterval;
+            this.attackTarget.takeDamage(this.attackDamage);
+        }
+    }
+
+    _isValidAttackTarget(tower) {
+        return !!tower && tower.isActive && !tower.isDestroyed && this._isAdjacentTo(tower);
+    }
+
+    // A tower in one of the 8 cells around the sapper's cell
+    _findAdjacentTower() {
+        const gridPos = this.mapSystem.worldToGrid(this.x, this.y);
+        for (let dy = -1; dy <= 1; dy++) {
+            for (let dx = -1; dx <= 1; dx++) {
+                const tower = this.mapSystem.getTowerAt(gridPos.x + dx, gridPos.y + dy);
+                if (tower && typeof tower.takeDamage === 'function' && tower.isActive && !tower.isDestroyed) {
+                    return tower;
+                }
+            }
+        }
+        return null;
+    }
+
+    _isAdjacentTo(tower) {
+        const gridPos = this.mapSystem.worldToGrid(this.x, this.y);
+        for (let dy = -1; dy <= 1; dy++) {
+            for (let dx = -1; dx <= 1; dx++) {
+                if (this.mapSystem.getTowerAt(gridPos.x + dx, gridPos.y + dy) === tower) return true;
+            }
+        }
+        return false;
+    }
+
+    draw(ctx) {
+        if (!this.isActive) return;
+
+        super.draw(ctx);
+
+        // Pick: swings toward the tower while attacking, rests on the shoulder otherwise
+        let angle = -Math.PI / 4;
+        if (this.attackTarget) {
+            angle = Math.atan2(this.attackTarget.y - this.y, this.attackTarget.x - this.x) + Math.sin(this.attackSwing * 10) * 0.5;
+        }
+        const handleLength = this.radius * 1.4;
+        const tipX = this.x + Math.cos(angle) * handleLength;
+        const tipY = this.y + Math.sin(angle) * handleLength;
+        ctx.beginPath();
+        ctx.moveTo(this.x, this.y);
+        ctx.lineTo(tipX, tipY);
+        ctx.strokeStyle = '#5D4037';
+        ctx.lineWidth = 2;
+        ctx.stroke();
+        ctx.beginPath();
+        ctx.moveTo(tipX - Math.sin(angle) * 4, tipY + Math.cos(angle) * 4);
+        ctx.lineTo(tipX + Math.sin(angle) * 4, tipY - Math.cos(angle) * 4);
+        ctx.strokeStyle = '#9E9E9E'; // Steel head
+        ctx.stroke();
+    }
+}
+
+// Registered in main.js:
+// this.waveManager.registerEnemyType('SapperEnemy', SapperEnemy, { ... });
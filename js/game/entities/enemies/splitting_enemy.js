@@ -0,0 +1,86 @@
+class SplittingEnemy extends BasicEnemy {
+    constructor(mapSystem, startGridX, startGridY, targetGridX, targetGridY, enemyManager) {
+        super(mapSystem, startGridX, startGridY, targetGridX, targetGridY, enemyManager);
+
+        // Stats - breaks into smaller enemies when killed, so splash damage pays off
+        this.name = "Splitting Enemy";
+        this.hp = 80;
+        this.maxHp = 80;
+        this.speed = 40;
+        this.currentSpeed = this.speed;
+        this.cashValue = 10;
+        this.damageToBase = 10;
+        this.radius = this.mapSystem.cellSize * 0.35;
+        this.hpBarWidth = this.radius * 2;
+
+        // Children spawned on death. They continue from here, see BasicEnemy.continueFrom().
+        this.splitCount = 3;
+        this.childClass = BasicEnemy;
+        this.childStats = {
+            name: "Splitling",
+            hp: 20,
+            maxHp: 20,
+            speed: 60,
+            cashValue: 3,
+            damageToBase: 4,
+            radius: this.mapSystem.cellSize * 0.18,
+            color: '#AED581',
+            borderColor: '#33691E'
+        };
+
+        // Visuals
+        this.color = '#7CB342'; // Olive green
+        this.borderColor = '#33691E';
+
+        console.log("SplittingEnemy created.");
+    }
+
+    // Only splits when killed, not when it reaches the base
+    onDie(killer = null) {
+        super.onDie(killer);
+        this.split();
+    }
+
+    split() {
+        const gridPos = this.mapSystem.worldToGrid(this.x, this.y);
+        for (let i = 0; i < this.splitCount; i++) {
+            const child = new this.childClass(
+                this.mapSystem,
+                gridPos.x,
+                gridPos.y,
+                this.targetGridX,
+                this.targetGridY,
+                this.enemyManager
+            );
+            Object.assign(child, this.childStats);
+            child.currentSpeed = child.speed;
+            child.hpBarWidth = child.radius * 2;
+
+            // Spread the children around the parent so they don't overlap exactly
+            const angle = (Math.PI * 2 / this.splitCount) * i;
+            child.continueFrom(this, Math.cos(angle) * this.radius * 0.5, Math.sin(angle) * this.radius * 0.5);
+            this.enemyManager.addEnemy(child);
+        }
+        console.log(`SplittingEnemy split into ${this.splitCount} enemies.`);
+    }
+
+    draw(ctx) {
+        if (!this.isActive) return;
+
+        super.draw(ctx);
+
+        // Crack lines hint at what's inside
+        ctx.beginPath();
+        for (let i = 0; i < this.splitCount; i++) {
+            const angle = (Math.PI * 2 / this.splitCount) * i - Math.PI / 2;
+            ctx.moveTo(this.x, this.y);
+            ctx.lineTo(this.x + Math.cos(angle) * this.radius, this.y + Math.sin(angle) * this.radius);
+        }
+        ctx.strokeStyle = this.borderColor;
+        ctx.lineWidth = 1.5;
+        ctx.stroke();
+    }
+}
+
+// Registered in main.js:
+// this.waveManager.registerEnemyType('SplittingEnemy', SplittingEnemy, { ... });
@@ -0,0 +1,130 @@
+// Status effect definitions, applied through BasicEnemy.applyStatusEffect(type, { duration, strength, source }).
+// An active effect is { type, definition, duration, strength, stacks, source }.
+//
+// Definition fields (all optional except stacking):
+//   stacking: how a new application combines with an active effect of the same type
+//     'refresh'   - replaces it: new strength, duration restarts
+//     'stack'     - adds a stack up to maxStacks and restarts the duration; magnitude scales with stacks
+//     'strongest' - the higher strength wins; an equally strong one only extends the duration
+//   duration, strength: defaults when the caller doesn't pass them
+//   damageType: for damage over time, see BasicEnemy.DAMAGE_TYPES
+//   stopsMovement: the enemy can't move while the effect is active (ignores minSpeedMultiplier)
+//   speedMultiplier(effect), damageTakenMultiplier(effect): combined by multiplying across effects
+//   armorReduction(effect): flat armor removed from every damage type, summed across effects
+//   update(enemy, effect, dt), onApply(enemy, effect), onEnd(enemy, effect), draw(ctx, enemy, effect)
+class StatusEffects {
+    // Munitions call this on every enemy they hit. effects: [{ type, duration, strength }]
+    static applyAll(enemy, effects, source = null) {
+        if (!effects || !enemy.isActive || typeof enemy.applyStatusEffect !== 'function') return;
+        for (const effect of effects) {
+            enemy.applyStatusEffect(effect.type, { duration: effect.duration, strength: effect.strength, source });
+        }
+    }
+
+    // strength is damage per second per stack. Continuous, so flat armor doesn't apply.
+    static damageOverTime(enemy, effect, dt) {
+        enemy.takeDamage(effect.strength * effect.stacks * dt, effect.definition.damageType, true, effect.source);
+    }
+
+    static drawRing(ctx, enemy, color, offset = 2) {
+        ctx.beginPath();
+        ctx.arc(enemy.x, enemy.y, enemy.radius + offset, 0, Math.PI * 2);
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 2;
+        ctx.stroke();
+    }
+
+    // One small dot per stack, in a row below the enemy
+    static drawStackDots(ctx, enemy, effect, color, rowOffset = 0) {
+        const dotRadius = 2;
+        const startX = enemy.x - (effect.stacks - 1) * dotRadius * 1.5;
+        const y = enemy.y + enemy.radius + 4 + rowOffset;
+        ctx.fillStyle = color;
+        for (let i = 0; i < effect.stacks; i++) {
+            ctx.beginPath();
+            ctx.arc(startX + i * dotRadius * 3, y, dotRadius, 0, Math.PI * 2);
+            ctx.fill();
+        }
+    }
+}
+
+StatusEffects.DEFINITIONS = {
+    burn: {
+        stacking: 'refresh',
+        duration: 3,
+        strength: 6,
+        damageType: 'energy',
+        update: (enemy, effect, dt) => StatusEffects.damageOverTime(enemy, effect, dt),
+        draw: (ctx, enemy, effect) => {
+            const flicker = 0.6 + 0.4 * Math.abs(Math.sin(effect.duration * 12));
+            StatusEffects.drawRing(ctx, enemy, `rgba(255, 112, 67, ${flicker})`, 1);
+        }
+    },
+    poison: {
+        stacking: 'stack',
+        maxStacks: 5,
+        duration: 4,
+        strength: 3,
+        damageType: 'physical',
+        update: (enemy, effect, dt) => StatusEffects.damageOverTime(enemy, effect, dt),
+        draw: (ctx, enemy, effect) => StatusEffects.drawStackDots(ctx, enemy, effect, '#76FF03')
+    },
+    // strength is the share of speed removed. Never below BasicEnemy.minSpeedMultiplier.
+    slow: {
+        stacking: 'strongest',
+        duration: 0.5,
+        strength: 0.4,
+        speedMultiplier: (effect) => 1 - effect.strength,
+        draw: (ctx, enemy) => StatusEffects.drawRing(ctx, enemy, 'rgba(79, 195, 247, 0.9)')
+    },
+    stun: {
+        stacking: 'refresh',
+        duration: 0.5,
+        strength: 1,
+        stopsMovement: true,
+        draw: (ctx, enemy, effect) => {
+            // Two sparks circling above the head
+            ctx.fillStyle = '#FFEB3B';
+            for (let i = 0; i < 2; i++) {
+                const angle = effect.duration * 8 + Math.PI * i;
+                ctx.beginPath();
+                ctx.arc(enemy.x + Math.cos(angle) * enemy.radius * 0.8, enemy.y - enemy.radius - 3 + Math.sin(angle) * 2, 2, 0, Math.PI * 2);
+                ctx.fill();
+            }
+        }
+    },
+    // Unlike stun, re-freezing never shortens a freeze, it only extends it
+    freeze: {
+        stacking: 'strongest',
+        duration: 1.5,
+        strength: 1,
+        stopsMovement: true,
+        draw: (ctx, enemy) => {
+            ctx.beginPath();
+            ctx.arc(enemy.x, enemy.y, enemy.radius + 1, 0, Math.PI * 2);
+            ctx.fillStyle = 'rgba(179, 229, 252, 0.55)';
+            ctx.fill();
+            StatusEffects.drawRing(ctx, enemy, 'rgba(225, 245, 254, 0.9)', 1);
+        }
+    },
+    // strength is flat armor removed per stack
+    armor_shred: {
+        stacking: 'stack',
+        maxStacks: 5,
+        duration: 5,
+        strength: 1,
+        armorReduction: (effect) => effect.strength * effect.stacks,
+        draw: (ctx, enemy, effect) => StatusEffects.drawStackDots(ctx, enemy, effect, '#BDBDBD', 5)
+    },
+    // strength is the extra share of damage taken
+    vulnerability: {
+        stacking: 'strongest',
+        duration: 3,
+        strength: 0.25,
+        damageTakenMultiplier: (effect) => 1 + effect.strength,
+        draw: (ctx, enemy) => StatusEffects.drawRing(ctx, enemy, 'rgba(213, 0, 249, 0.8)', 4)
+    }
+};
+
+// Registered in main.js:
+// this.enemyManager.registerStatusEffect('burn', StatusEffects.DEFINITIONS.burn);
@@ -0,0 +1,52 @@
+class StealthEnemy extends BasicEnemy {
+    constructor(mapSystem, startGridX, startGridY, targetGridX, targetGridY, enemyManager) {
+        super(mapSystem, startGridX, startGridY, targetGridX, targetGridY, enemyManager);
+
+        // Stats - towers can't target it unless it is inside a detector's radius (e.g. RadarTower).
+        // EnemyManager.updateDetection() sets isDetected every frame.
+        this.name = "Stealth Enemy";
+        this.isStealthed = true;
+        this.isDetected = false;
+        this.hp = 45;
+        this.maxHp = 45;
+        this.speed = 55;
+        this.currentSpeed = this.speed;
+        this.cashValue = 15;
+        this.damageToBase = 10;
+
+        // Visuals
+        this.color = '#B0BEC5'; // Pale grey
+        this.borderColor = '#455A64';
+        this.hiddenAlpha = 0.3; // Opacity while undetected
+        this.detectedAlpha = 0.65;
+
+        console.log("StealthEnemy created.");
+    }
+
+    getInfo() {
+        const info = super.getInfo();
+        info.name = `${this.name} (${this.isDetected ? 'Detected' : 'Hidden'})`;
+        return info;
+    }
+
+    draw(ctx) {
+        if (!this.isActive) return;
+
+        ctx.save();
+        ctx.globalAlpha = this.isDetected ? this.detectedAlpha : this.hiddenAlpha;
+        super.draw(ctx);
+        ctx.restore();
+
+        // Revealed: a red ring so the player can see it's targetable now
+        if (this.isDetected) {
+            ctx.beginPath();
+            ctx.arc(this.x, this.y, this.radius + 3, 0, Math.PI * 2);
+            ctx.strokeStyle = 'rgba(255, 82, 82, 0.8)';
+            ctx.lineWidth = 1;
+            ctx.stroke();
+        }
+    }
+}
+
+// Registered in main.js:
+// this.waveManager.registerEnemyType('StealthEnemy', StealthEnemy, { ... });
@@ -1,26 +1,56 @@
 class BasicBullet {
     constructor(config) {
-        // Config properties: startX, startY, target (enemy instance), speed, damage, radius, color
-        if (!config.target || typeof config.startX !== 'number' || typeof config.startY !== 'number') {
-            throw new Error("BasicBullet requires a target and start coordinates in config.");
+        // Config properties: startX, startY, target (enemy instance), speed, damage, damageType, radius, color,
+        // source (tower that fired it, credited for damage and kills)
+        // Ballistic mode (config.ballistic): aimX, aimY, enemyManager, maxDistance, targetLayers. The bullet flies
+        // straight toward the aim point and hits whatever it collides with (that targetLayers allows), so it can miss.
+        if (typeof config.startX !== 'number' || typeof config.startY !== 'number') {
+            throw new Error("BasicBullet requires start coordinates in config.");
+        }
+        this.ballistic = !!config.ballistic;
+        if (this.ballistic && (typeof config.aimX !== 'number' || typeof config.aimY !== 'number' || !config.enemyManager)) {
+            throw new Error("Ballistic BasicBullet requires aimX, aimY and an EnemyManager in config.");
+        }
+        if (!this.ballistic && !config.target) {
+            throw new Error("BasicBullet requires a target in config.");
         }
         this.x = config.startX;
         this.y = config.startY;
-        this.target = config.target; // Reference to the enemy instance
+        this.target = config.target || null; // Reference to the enemy instance (homing mode)
 
         this.speed = config.speed || 200; // Pixels per second
         this.damage = config.damage || 10;
+        this.damageType = config.damageType || 'physical'; // See BasicEnemy.DAMAGE_TYPES
         this.radius = config.radius || 3; // For drawing and collision
         this.color = config.color || 'yellow';
+        this.source = config.source || null;
+        this.effects = config.effects || []; // Status effects applied on hit, see StatusEffects
         
         this.isActive = true; // Becomes false on hit or if target is lost
 
+        if (this.ballistic) {
+            this.enemyManager = config.enemyManager;
+            this.maxDistance = config.maxDistance || 300; // Expires after flying this far
+            this.targetLayers = config.targetLayers || null; // null hits ground and air
+            this.distanceTravelled = 0;
+            const dx = config.aimX - this.x;
+            const dy = config.aimY - this.y;
+            const aimDistance = Math.sqrt(dx * dx + dy * dy) || 1;
+            this.directionX = dx / aimDistance; // Fixed at fire time
+            this.directionY = dy / aimDistance;
+        }
+
         console.log(`BasicBullet created at (${this.x}, ${this.y}) targeting enemy.`);
     }
 
     update(dt) {
         if (!this.isActive) return;
 
+        if (this.ballistic) {
+            this._updateBallistic(dt);
+            return;
+        }
+
         // Check if target is still valid
         if (!this.target || !this.target.isActive) {
             this.isActive = false; // Target lost (e.g., died before impact)
@@ -52,10 +82,35 @@ class BasicBullet {
         this.y += (dy / distanceToTarget) * this.speed * dt;
     }
 
+    _updateBallistic(dt) {
+        const step = Math.min(this.speed * dt, this.maxDistance - this.distanceTravelled);
+        const nextX = this.x + this.directionX * step;
+        const nextY = this.y + this.directionY * step;
+
+        // Check the whole segment flown this frame so fast bullets can't skip over enemies
+        const hitEnemy = this.enemyManager.findEnemyOnSegment(this.x, this.y, nextX, nextY, this.radius, this.targetLayers);
+        if (hitEnemy) {
+            this.x = hitEnemy.x;
+            this.y = hitEnemy.y;
+            this.target = hitEnemy;
+            this.onHit();
+            return;
+        }
+
+        this.x = nextX;
+        this.y = nextY;
+        this.distanceTravelled += step;
+        if (this.distanceTravelled >= this.maxDistance) {
+            this.isActive = false; // Missed
+            console.log("BasicBullet: Ballistic shot expired without a hit.");
+        }
+    }
+
     onHit() {
         this.isActive = false;
         if (this.target && this.target.isActive && typeof this.target.takeDamage === 'function') {
-            this.target.takeDamage(this.damage);
+            this.target.takeDamage(this.damage, this.damageType, false, this.source);
+            StatusEffects.applyAll(this.target, this.effects, this.source);
             console.log(`BasicBullet hit target, dealing ${this.damage} damage.`);
         } else {
             console.log("BasicBullet: Hit, but target was already inactive or couldn't take damage.");
@@ -0,0 +1,102 @@
+class ChainLightning {
+    constructor(config) {
+        // Config properties: startX, startY, target (first enemy hit), enemyManager (to find jump targets),
+        // damage, damageType, maxJumps, jumpRadius, jumpDamageMultiplier, duration, color, source (tower that fired it),
+        // targetLayers (which enemies the bolt can jump to, null = all)
+        if (!config.target || !config.enemyManager || typeof config.startX !== 'number' || typeof config.startY !== 'number') {
+            throw new Error("ChainLightning requires a target, an EnemyManager and start coordinates in config.");
+        }
+        this.startX = config.startX;
+        this.startY = config.startY;
+        this.enemyManager = config.enemyManager;
+
+        this.damage = config.damage || 20; // Damage to the first enemy
+        this.damageType = config.damageType || 'energy';
+        this.maxJumps = config.maxJumps !== undefined ? config.maxJumps : 3; // Extra enemies after the first
+        this.jumpRadius = config.jumpRadius || 60;
+        this.jumpDamageMultiplier = config.jumpDamageMultiplier || 0.7; // Damage kept on each jump
+        this.duration = config.duration || 0.2; // Seconds the bolt stays visible
+        this.color = config.color || '#B3E5FC';
+        this.source = config.source || null;
+        this.effects = config.effects || []; // Status effects applied to every enemy in the chain, see StatusEffects
+        this.targetLayers = config.targetLayers || null;
+
+        this.timeLeft = this.duration;
+        this.isActive = true; // Stays active only while the bolt is visible
+
+        // Resolved instantly, like a hitscan shot; the bolt is only drawn afterwards
+        this.points = [{ x: this.startX, y: this.startY }]; // Bolt path: tower, then every enemy hit
+        this._resolveChain(config.target);
+    }
+
+    _resolveChain(firstTarget) {
+        const hitEnemies = new Set(); // No enemy is hit twice by the same chain
+        let current = firstTarget;
+        let damage = this.damage;
+
+        for (let hop = 0; current && hop <= this.maxJumps; hop++) {
+            hitEnemies.add(current);
+            this.points.push({ x: current.x, y: current.y });
+            current.takeDamage(damage, this.damageType, false, this.source);
+            StatusEffects.applyAll(current, this.effects, this.source);
+
+            damage *= this.jumpDamageMultiplier;
+            current = this._findNextTarget(current, hitEnemies);
+        }
+        console.log(`ChainLightning hit ${hitEnemies.size} enemies.`);
+    }
+
+    // Nearest enemy around the last hit that this chain hasn't touched yet
+    _findNextTarget(fromEnemy, hitEnemies) {
+        let nextEnemy = null;
+        let minDistanceSq = Infinity;
+        for (const enemy of this.enemyManager.getTargetableEnemiesInRadius({ x: fromEnemy.x, y: fromEnemy.y }, this.jumpRadius, this.targetLayers)) {
+            if (hitEnemies.has(enemy)) continue;
+            const dx = enemy.x - fromEnemy.x;
+            const dy = enemy.y - fromEnemy.y;
+            const distanceSq = dx * dx + dy * dy;
+            if (distanceSq < minDistanceSq) {
+                minDistanceSq = distanceSq;
+                nextEnemy = enemy;
+            }
+        }
+        return nextEnemy;
+    }
+
+    update(dt) {
+        if (!this.isActive) return;
+
+        this.timeLeft -= dt;
+        if (this.timeLeft <= 0) {
+            this.isActive = false;
+        }
+    }
+
+    draw(ctx) {
+        if (!this.isActive || this.points.length < 2) return;
+
+        ctx.save();
+        ctx.globalAlpha = Math.max(0, this.timeLeft / this.duration);
+        ctx.beginPath();
+        ctx.moveTo(this.points[0].x, this.points[0].y);
+        for (let i = 1; i < this.points.length; i++) {
+            const from = this.points[i - 1];
+            const to = this.points[i];
+            // Zig-zag: a few jittered midpoints per segment, re-rolled every frame so the bolt flickers
+            const kinks = 3;
+            for (let k = 1; k <= kinks; k++) {
+                const t = k / (kinks + 1);
+                const jitter = (Math.random() - 0.5) * 10;
+                ctx.lineTo(from.x + (to.x - from.x) * t + jitter, from.y + (to.y - from.y) * t - jitter);
+            }
+            ctx.lineTo(to.x, to.y);
+        }
+        ctx.strokeStyle = this.color;
+        ctx.lineWidth = 2;
+        ctx.stroke();
+        ctx.restore();
+    }
+}
+
+// Registered in main.js:
+// this.munitionsManager.registerMunitionType('ChainLightning', ChainLightning);
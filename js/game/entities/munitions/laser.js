@@ -0,0 +1,88 @@
+class Laser {
+    constructor(config) {
+        // Config properties: tower (source tower instance), target (enemy instance),
+        // minDps, maxDps, chargeTime, damageType, minWidth, maxWidth, color, effects, effectInterval
+        if (!config.tower || !config.target) {
+            throw new Error("Laser requires a source tower and a target in config.");
+        }
+        this.tower = config.tower; // Beam stays attached to this tower
+        this.target = config.target;
+
+        this.minDps = config.minDps || 5; // Damage per second when the beam starts
+        this.maxDps = config.maxDps || 40; // Damage per second when fully charged
+        this.chargeTime = config.chargeTime || 3; // Seconds of focus to reach maxDps
+        this.damageType = config.damageType || 'energy';
+        this.minWidth = config.minWidth || 1;
+        this.maxWidth = config.maxWidth || 6;
+        this.color = config.color || '#FF1744';
+        this.effects = config.effects || []; // Status effects kept up on the target while the beam holds, see StatusEffects
+        this.effectInterval = config.effectInterval || 0.5; // Seconds between applications, so stacking effects build up at a fixed rate
+        this.timeToNextEffect = 0; // Applied as soon as the beam locks on
+
+        this.focusTime = 0; // Seconds the beam has stayed on the current target
+        this.isActive = true; // Becomes false once the beam loses its target
+
+        console.log("Laser beam created.");
+    }
+
+    // 0 when the beam has just locked on, 1 when it is fully charged
+    getChargeRatio() {
+        return Math.min(1, this.focusTime / this.chargeTime);
+    }
+
+    getCurrentDps() {
+        return this.minDps + (this.maxDps - this.minDps) * this.getChargeRatio();
+    }
+
+    _hasLock() {
+        if (!this.tower.isActive || !this.target.isActive || this.tower.currentTarget !== this.target) return false;
+        const dx = this.target.x - this.tower.x;
+        const dy = this.target.y - this.tower.y;
+        const range = this.tower.getStat('range');
+        return dx * dx + dy * dy <= range * range;
+    }
+
+    update(dt) {
+        if (!this.isActive) return;
+
+        // The beam only lives while the tower keeps focusing the same target
+        if (!this._hasLock()) {
+            this.isActive = false;
+            console.log("Laser: Lock lost, deactivating.");
+            return;
+        }
+
+        this.focusTime += dt;
+        this.target.takeDamage(this.getCurrentDps() * dt, this.damageType, true, this.tower); // Continuous, so flat armor doesn't apply
+
+        this.timeToNextEffect -= dt;
+        if (this.timeToNextEffect <= 0 && this.target.isActive) { // The damage above may have killed it
+            this.timeToNextEffect = this.effectInterval;
+            StatusEffects.applyAll(this.target, this.effects, this.tower);
+        }
+    }
+
+    draw(ctx) {
+        if (!this.isActive) return;
+
+        const width = this.minWidth + (this.maxWidth - this.minWidth) * this.getChargeRatio();
+
+        ctx.save();
+        ctx.beginPath();
+        ctx.moveTo(this.tower.x, this.tower.y);
+        ctx.lineTo(this.target.x, this.target.y);
+        ctx.strokeStyle = this.color;
+        ctx.lineWidth = width;
+        ctx.lineCap = 'round';
+        ctx.stroke();
+
+        // Bright core
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.7)';
+        ctx.lineWidth = Math.max(1, width / 3);
+        ctx.stroke();
+        ctx.restore();
+    }
+}
+
+// Registered in main.js:
+// this.munitionsManager.registerMunitionType('Laser', Laser);
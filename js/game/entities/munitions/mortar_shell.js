@@ -0,0 +1,119 @@
+class MortarShell {
+    constructor(config) {
+        // Config properties: startX, startY, targetX, targetY (ground point, fixed at fire time),
+        // enemyManager (for splash damage), speed, damage, damageType, blastRadius, minDamageRatio, arcHeight, radius, color,
+        // source (tower that fired it), targetLayers (which enemies the blast hits, null = all)
+        if (typeof config.startX !== 'number' || typeof config.startY !== 'number' ||
+            typeof config.targetX !== 'number' || typeof config.targetY !== 'number') {
+            throw new Error("MortarShell requires start and target coordinates in config.");
+        }
+        if (!config.enemyManager) {
+            throw new Error("MortarShell requires an EnemyManager in config for splash damage.");
+        }
+        this.startX = config.startX;
+        this.startY = config.startY;
+        this.targetX = config.targetX; // Not homing: the shell lands here even if the enemy moved
+        this.targetY = config.targetY;
+        this.enemyManager = config.enemyManager;
+
+        this.speed = config.speed || 150; // Ground speed in pixels per second
+        this.damage = config.damage || 40; // Damage at the center of the blast
+        this.damageType = config.damageType || 'explosive';
+        this.blastRadius = config.blastRadius || 30;
+        this.minDamageRatio = config.minDamageRatio !== undefined ? config.minDamageRatio : 0.3; // Share of damage at the blast edge
+        this.arcHeight = config.arcHeight || 40; // Peak visual height of the arc
+        this.radius = config.radius || 4;
+        this.color = config.color || '#3E2723';
+        this.source = config.source || null;
+        this.effects = config.effects || []; // Status effects applied to every enemy in the blast, see StatusEffects
+        this.targetLayers = config.targetLayers || null;
+
+        const dx = this.targetX - this.startX;
+        const dy = this.targetY - this.startY;
+        this.flightTime = Math.max(0.1, Math.sqrt(dx * dx + dy * dy) / this.speed);
+        this.elapsed = 0;
+
+        // Ground position and height above it
+        this.x = this.startX;
+        this.y = this.startY;
+        this.height = 0;
+
+        this.hasExploded = false;
+        this.explosionDuration = 0.3; // Seconds the blast stays visible
+        this.explosionTimeLeft = 0;
+        this.isActive = true;
+
+        console.log(`MortarShell fired at (${this.targetX.toFixed(0)}, ${this.targetY.toFixed(0)}).`);
+    }
+
+    update(dt) {
+        if (!this.isActive) return;
+
+        if (this.hasExploded) {
+            this.explosionTimeLeft -= dt;
+            if (this.explosionTimeLeft <= 0) this.isActive = false;
+            return;
+        }
+
+        this.elapsed += dt;
+        const t = Math.min(1, this.elapsed / this.flightTime);
+        this.x = this.startX + (this.targetX - this.startX) * t;
+        this.y = this.startY + (this.targetY - this.startY) * t;
+        this.height = this.arcHeight * 4 * t * (1 - t); // Parabola peaking halfway
+
+        if (t >= 1) {
+            this.explode();
+        }
+    }
+
+    explode() {
+        this.hasExploded = true;
+        this.explosionTimeLeft = this.explosionDuration;
+
+        // Damage falls off linearly from the center to minDamageRatio at the edge
+        const enemiesHit = this.enemyManager.getTargetableEnemiesInRadius({ x: this.targetX, y: this.targetY }, this.blastRadius, this.targetLayers);
+        for (const enemy of enemiesHit) {
+            const dx = enemy.x - this.targetX;
+            const dy = enemy.y - this.targetY;
+            const distanceRatio = Math.min(1, Math.sqrt(dx * dx + dy * dy) / this.blastRadius);
+            const damage = this.damage * (1 - (1 - this.minDamageRatio) * distanceRatio);
+            enemy.takeDamage(damage, this.damageType, false, this.source);
+            StatusEffects.applyAll(enemy, this.effects, this.source);
+        }
+        console.log(`MortarShell exploded, hitting ${enemiesHit.length} enemies.`);
+    }
+
+    draw(ctx) {
+        if (!this.isActive) return;
+
+        if (this.hasExploded) {
+            const progress = 1 - this.explosionTimeLeft / this.explosionDuration;
+            ctx.save();
+            ctx.globalAlpha = 1 - progress;
+            ctx.beginPath();
+            ctx.arc(this.targetX, this.targetY, this.blastRadius * (0.5 + 0.5 * progress), 0, Math.PI * 2);
+            ctx.fillStyle = 'rgba(255, 152, 0, 0.6)';
+            ctx.fill();
+            ctx.strokeStyle = 'rgba(191, 54, 12, 0.8)';
+            ctx.lineWidth = 2;
+            ctx.stroke();
+            ctx.restore();
+            return;
+        }
+
+        // Shadow on the ground shows where the shell is above
+        ctx.beginPath();
+        ctx.arc(this.x, this.y, this.radius, 0, Math.PI * 2);
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.25)';
+        ctx.fill();
+
+        // Shell, drawn higher up the further it is into its arc
+        ctx.beginPath();
+        ctx.arc(this.x, this.y - this.height, this.radius * (1 + this.height / this.arcHeight * 0.5), 0, Math.PI * 2);
+        ctx.fillStyle = this.color;
+        ctx.fill();
+    }
+}
+
+// Registered in main.js:
+// this.munitionsManager.registerMunitionType('MortarShell', MortarShell);
@@ -0,0 +1,65 @@
+class SniperBullet {
+    constructor(config) {
+        // Config properties: startX, startY, target (enemy instance), damage, damageType, color, tracerDuration, tracerWidth,
+        // source (tower that fired it)
+        if (!config.target || typeof config.startX !== 'number' || typeof config.startY !== 'number') {
+            throw new Error("SniperBullet requires a target and start coordinates in config.");
+        }
+        this.startX = config.startX;
+        this.startY = config.startY;
+        this.target = config.target;
+
+        this.damage = config.damage || 50;
+        this.damageType = config.damageType || 'physical';
+        this.color = config.color || 'white';
+        this.tracerDuration = config.tracerDuration || 0.15; // Seconds
+        this.tracerWidth = config.tracerWidth || 2;
+        this.source = config.source || null;
+        this.effects = config.effects || []; // Status effects applied on hit, see StatusEffects
+
+        // Hitscan: the shot lands immediately, so remember where the target was for the tracer
+        this.endX = this.target.x;
+        this.endY = this.target.y;
+        this.timeLeft = this.tracerDuration;
+        this.isActive = true; // Stays active only while the tracer is visible
+
+        this.onHit();
+    }
+
+    onHit() {
+        if (this.target && this.target.isActive && typeof this.target.takeDamage === 'function') {
+            this.target.takeDamage(this.damage, this.damageType, false, this.source);
+            StatusEffects.applyAll(this.target, this.effects, this.source);
+            console.log(`SniperBullet hit target, dealing ${this.damage} damage.`);
+        } else {
+            console.log("SniperBullet: Target was already inactive or couldn't take damage.");
+        }
+    }
+
+    update(dt) {
+        if (!this.isActive) return;
+
+        this.timeLeft -= dt;
+        if (this.timeLeft <= 0) {
+            this.isActive = false;
+        }
+    }
+
+    draw(ctx) {
+        if (!this.isActive) return;
+
+        // Tracer fades out over its lifetime
+        ctx.save();
+        ctx.globalAlpha = Math.max(0, this.timeLeft / this.tracerDuration);
+        ctx.beginPath();
+        ctx.moveTo(this.startX, this.startY);
+        ctx.lineTo(this.endX, this.endY);
+        ctx.strokeStyle = this.color;
+        ctx.lineWidth = this.tracerWidth;
+        ctx.stroke();
+        ctx.restore();
+    }
+}
+
+// Registered in main.js:
+// this.munitionsManager.registerMunitionType('SniperBullet', SniperBullet);
@@ -7,31 +7,64 @@ class CannonTower {
         this.enemyManager = enemyManager;
         this.munitionsManager = munitionsManager; // To create projectiles
 
-        this.gridX = gridX;
+        this.gridX = gridX; // Top-left cell of the footprint
         this.gridY = gridY;
-        const worldPos = this.mapSystem.gridToWorld(gridX, gridY, true); // Center of the cell
-        this.x = worldPos.x;
-        this.y = worldPos.y;
-        
-        this.width = this.mapSystem.cellSize; // Occupies one cell
-        this.height = this.mapSystem.cellSize;
+        this.setFootprint(1, 1); // Occupies one cell; larger towers call setFootprint again
 
         // Tower Stats (TD-PLAN 5.1)
         this.cost = 50; // Example cost
         this.range = this.mapSystem.cellSize * 2.5; // Range in pixels
+        this.minRange = 0; // Enemies closer than this can't be targeted (e.g. artillery)
         this.reloadTime = 1.0; // Seconds per shot (Gatling would be much lower)
         this.damage = 15; // Damage per shot
+        this.damageType = 'physical'; // See BasicEnemy.DAMAGE_TYPES
         this.projectileSpeed = 300; // Pixels per second
         this.projectileRadius = 3;
         this.projectileColor = '#FFA500'; // Orange
+        this.ballistic = false; // Opt-in (subclass or content file): fly straight at a predicted intercept point instead of homing, so shots can miss
+        this.maxProjectileDistanceFactor = 1.5; // Ballistic shots expire after range * this
+        this.turnSpeed = Math.PI * 1.5; // Radians per second the turret rotates
+        this.aimTolerance = 0.1; // Radians; only fires once the barrel is this close to the aim direction
+        this.firingArc = null; // Radians, centered on facingAngle. null means the turret turns all the way around
+        this.targetLayers = { ground: true, air: true }; // Which enemies it can hit, see EnemyManager.canHitEnemy
+        this.detectionRange = 0; // Reveals stealthed enemies within this radius (0 = none), see EnemyManager.updateDetection
+        this.munitionType = 'BasicBullet'; // Type name registered with MunitionsManager
+        this.onHitEffects = []; // Status effects its munitions apply, e.g. { type: 'burn', duration: 3, strength: 6 }, see StatusEffects
 
         this.name = "Cannon Tower";
         this.description = "A basic, reliable cannon tower.";
 
+        // Upgrade tiers. Tier 1 is the tower as built; each entry below buys the next tier.
+        // Every numeric field except `cost` is added to the tower property of the same name.
+        this.tier = 1;
+        this.upgradeTiers = [
+            { cost: 40, damage: 8, range: this.mapSystem.cellSize * 0.25, reloadTime: -0.1 },
+            { cost: 80, damage: 12, range: this.mapSystem.cellSize * 0.25, reloadTime: -0.15 },
+            { cost: 150, damage: 20, range: this.mapSystem.cellSize * 0.5, reloadTime: -0.15 },
+        ];
+
+        // Durability - enemies like SapperEnemy can attack towers
+        this.maxHp = 200;
+        this.hp = this.maxHp;
+        this.isDestroyed = false; // Set when HP hits 0; TowerPlacementSystem then drops the tower
+        this.damageFlashDuration = 0.2; // Seconds the outline flashes red after a hit
+        this.damageFlashTimeLeft = 0;
+
         // State
+        this.isActive = true; // False once the tower is removed from the map
         this.currentTarget = null;
+        this.targetingMode = 'first'; // One of EnemyManager.TARGETING_MODES, switchable from the UI
         this.timeToNextShot = 0; // Countdown for reloading
-        this.turretAngle = 0; // For drawing the turret facing the target
+        this.facingAngle = 0; // Direction the tower was placed facing, the center of its firing arc
+        this.turretAngle = 0; // Where the barrel currently points, turns toward the target at turnSpeed
+        this.buffs = new Map(); // Support tower -> { damage, range, fireRate } bonus fractions, see getStat()
+
+        // Veterancy: experience from damage dealt and kills, see CannonTower.VETERANCY_RANKS
+        this.experience = 0;
+        this.rank = 0; // Index into CannonTower.VETERANCY_RANKS
+        this.kills = 0;
+        this.xpPerDamage = 1;
+        this.xpPerKill = 20;
 
         // Visuals
         this.baseColor = '#607D8B'; // Blue Grey
@@ -46,30 +79,118 @@ class CannonTower {
         console.log(`CannonTower created at grid (${gridX}, ${gridY})`);
     }
 
+    // Footprint in grid cells. Sets the world size and moves x/y to the center of the covered area.
+    setFootprint(widthInCells, heightInCells) {
+        this.footprint = { width: widthInCells, height: heightInCells };
+        this.width = widthInCells * this.mapSystem.cellSize;
+        this.height = heightInCells * this.mapSystem.cellSize;
+        const topLeft = this.mapSystem.gridToWorld(this.gridX, this.gridY);
+        this.x = topLeft.x + this.width / 2;
+        this.y = topLeft.y + this.height / 2;
+    }
+
     findTarget() {
-        this.currentTarget = this.enemyManager.findNearestEnemy({ x: this.x, y: this.y }, this.range);
+        const arcFilter = this.firingArc !== null ? (enemy) => this.isInFiringArc(enemy) : null;
+        this.currentTarget = this.enemyManager.findTarget({ x: this.x, y: this.y }, this.getStat('range'), this.targetingMode, this.minRange, arcFilter, this.targetLayers);
     }
 
-    update(dt) {
-        this.timeToNextShot = Math.max(0, this.timeToNextShot - dt);
+    // Set when the tower is placed. Turns the turret to face the same way.
+    setFacing(angle) {
+        this.facingAngle = this._normalizeAngle(angle);
+        this.turretAngle = this.facingAngle;
+    }
+
+    isInFiringArc(point) {
+        if (this.firingArc === null) return true;
+        const angle = Math.atan2(point.y - this.y, point.x - this.x);
+        return Math.abs(this._normalizeAngle(angle - this.facingAngle)) <= this.firingArc / 2;
+    }
+
+    // Wraps an angle into (-PI, PI]
+    _normalizeAngle(angle) {
+        angle = angle % (Math.PI * 2);
+        if (angle > Math.PI) angle -= Math.PI * 2;
+        if (angle <= -Math.PI) angle += Math.PI * 2;
+        return angle;
+    }
 
-        if (this.currentTarget && (!this.currentTarget.isActive || this._distanceToTarget(this.currentTarget) > this.range)) {
-            this.currentTarget = null; // Target lost or out of range
+    // Turns the barrel toward targetAngle by at most turnSpeed * dt. Towers with a firing arc
+    // turn within the arc instead of taking the shorter way around through their back.
+    _rotateTurretToward(targetAngle, dt) {
+        let delta;
+        if (this.firingArc !== null) {
+            delta = this._normalizeAngle(targetAngle - this.facingAngle) - this._normalizeAngle(this.turretAngle - this.facingAngle);
+        } else {
+            delta = this._normalizeAngle(targetAngle - this.turretAngle);
+        }
+        const maxStep = this.turnSpeed * dt;
+        if (Math.abs(delta) <= maxStep) {
+            this.turretAngle = this._normalizeAngle(targetAngle);
+        } else {
+            this.turretAngle = this._normalizeAngle(this.turretAngle + Math.sign(delta) * maxStep);
+        }
+    }
+
+    _isAimedAt(targetAngle) {
+        return Math.abs(this._normalizeAngle(targetAngle - this.turretAngle)) <= this.aimTolerance;
+    }
+
+    // Turns toward a point; returns true once the barrel is aligned with it
+    _aimAt(point, dt) {
+        const targetAngle = Math.atan2(point.y - this.y, point.x - this.x);
+        this._rotateTurretToward(targetAngle, dt);
+        return this._isAimedAt(targetAngle);
+    }
+
+    setTargetingMode(mode) {
+        if (!this.enemyManager.getTargetingModes().includes(mode)) {
+            console.warn(`${this.name}: Unknown targeting mode "${mode}".`);
+            return false;
+        }
+        this.targetingMode = mode;
+        this.currentTarget = null; // Re-pick a target with the new mode
+        return true;
+    }
+
+    cycleTargetingMode() {
+        const modes = this.enemyManager.getTargetingModes();
+        const nextIndex = (modes.indexOf(this.targetingMode) + 1) % modes.length;
+        this.setTargetingMode(modes[nextIndex]);
+    }
+
+    // Drops the current target if it died or left range (or the firing arc), then looks for a new one if needed
+    _updateTarget() {
+        if (this.currentTarget) {
+            const distance = this._distanceToTarget(this.currentTarget);
+            if (!this.currentTarget.isActive || distance > this.getStat('range') || distance < this.minRange ||
+                !this.isInFiringArc(this.currentTarget) || !this.enemyManager.canHitEnemy(this.currentTarget, this.targetLayers) ||
+                !this.enemyManager.isDetected(this.currentTarget)) {
+                this.currentTarget = null; // Target lost or out of range
+            }
         }
 
         if (!this.currentTarget) {
             this.findTarget();
         }
+    }
+
+    update(dt) {
+        this._updateDamageFlash(dt);
+        this.timeToNextShot = Math.max(0, this.timeToNextShot - dt);
+
+        this._updateTarget();
+        if (this.timeToNextShot <= 0) {
+            this.findTarget(); // Re-pick by targeting mode right before firing
+        }
 
         if (this.currentTarget) {
-            // Aim turret
-            const dx = this.currentTarget.x - this.x;
-            const dy = this.currentTarget.y - this.y;
-            this.turretAngle = Math.atan2(dy, dx);
+            // Turn the turret (leading the target for ballistic shots), fire only once it's aligned
+            const aimPoint = this.ballistic ? this._computeInterceptPoint(this.currentTarget) : this.currentTarget;
+            const isAimed = this._aimAt(aimPoint, dt);
 
-            if (this.timeToNextShot <= 0) {
+            if (this.timeToNextShot <= 0 && isAimed) {
                 this.shoot();
-                this.timeToNextShot = this.reloadTime;
+                this.timeToNextShot = this.getStat('reloadTime');
             }
         } else {
             // No target, maybe slowly rotate turret or set to default angle
@@ -77,6 +198,18 @@ class CannonTower {
         }
     }
 
+    // Where a projectile fired now would meet the target, refining the flight time a few times
+    _computeInterceptPoint(target) {
+        let aimPoint = { x: target.x, y: target.y };
+        if (typeof target.predictPosition !== 'function' || !this.projectileSpeed) return aimPoint;
+
+        for (let i = 0; i < 4; i++) {
+            const flightTime = this._distanceToTarget(aimPoint) / this.projectileSpeed;
+            aimPoint = target.predictPosition(flightTime);
+        }
+        return aimPoint;
+    }
+
     _distanceToTarget(target) {
         const dx = target.x - this.x;
         const dy = target.y - this.y;
@@ -96,14 +229,185 @@ class CannonTower {
             startY: this.y,
             target: this.currentTarget,
             speed: this.projectileSpeed,
-            damage: this.damage,
+            damage: this.getStat('damage'),
+            damageType: this.damageType,
             radius: this.projectileRadius,
             color: this.projectileColor,
-            type: 'BasicBullet' // So MunitionsManager can instantiate the correct class
+            type: this.munitionType, // So MunitionsManager can instantiate the correct class
+            effects: this.onHitEffects,
+            source: this // Credited for damage and kills (veterancy)
         };
+        if (this.ballistic) {
+            const aimPoint = this._computeInterceptPoint(this.currentTarget);
+            projectileConfig.ballistic = true;
+            projectileConfig.aimX = aimPoint.x;
+            projectileConfig.aimY = aimPoint.y;
+            projectileConfig.enemyManager = this.enemyManager;
+            projectileConfig.targetLayers = this.targetLayers; // So the shot passes over enemies it can't hit
+            projectileConfig.maxDistance = this.getStat('range') * this.maxProjectileDistanceFactor;
+        }
         this.munitionsManager.addMunition(projectileConfig);
     }
 
+    // --- Buffs ---
+    // Fields like damage, range and reloadTime are base stats (upgrades change them).
+    // Combat code reads getStat() instead, which applies active buffs and veterancy bonuses on top.
+    setBuff(source, bonuses) {
+        this.buffs.set(source, bonuses);
+    }
+
+    clearBuffs() {
+        this.buffs.clear();
+    }
+
+    hasBuffs() {
+        return this.buffs.size > 0;
+    }
+
+    // Buffs of the same kind don't stack: the strongest one applies, like slows
+    getBuffBonus(kind) {
+        let bonus = 0;
+        for (const bonuses of this.buffs.values()) {
+            bonus = Math.max(bonus, bonuses[kind] || 0);
+        }
+        return bonus;
+    }
+
+    getStat(stat) {
+        const base = this[stat];
+        const kind = CannonTower.BUFFED_STATS[stat];
+        if (typeof base !== 'number' || !kind) return base;
+
+        const bonus = this.getBuffBonus(kind) + (this.getRank()[kind] || 0);
+        if (kind === 'fireRate') return base / (1 + bonus); // Faster fire rate means shorter reload
+        return base * (1 + bonus);
+    }
+
+    _hasStatModifiers() {
+        return this.hasBuffs() || this.rank > 0;
+    }
+
+    _roundStat(value) {
+        return Math.round(value * 100) / 100;
+    }
+
+    // --- Veterancy ---
+    getRank() {
+        return CannonTower.VETERANCY_RANKS[this.rank];
+    }
+
+    getNextRank() {
+        return CannonTower.VETERANCY_RANKS[this.rank + 1] || null;
+    }
+
+    // Called by BasicEnemy.takeDamage() when one of this tower's munitions hurts an enemy
+    onDamageDealt(enemy, amount) {
+        this.gainExperience(amount * this.xpPerDamage);
+    }
+
+    // Called by EnemyManager.handleEnemyDefeated() when this tower landed the final blow
+    onKill(enemy) {
+        this.kills++;
+        this.gainExperience(this.xpPerKill);
+    }
+
+    gainExperience(amount) {
+        if (!this.isActive || amount <= 0) return;
+        this.experience += amount;
+        let nextRank = this.getNextRank();
+        while (nextRank && this.experience >= nextRank.xp) {
+            this.rank++;
+            console.log(`${this.name} promoted to ${nextRank.name}.`);
+            nextRank = this.getNextRank();
+        }
+    }
+
+    // --- Upgrades ---
+    getMaxTier() {
+        return this.upgradeTiers.length + 1;
+    }
+
+    getNextTier() {
+        return this.upgradeTiers[this.tier - 1] || null; // Tier N is bought with upgradeTiers[N - 2]
+    }
+
+    getUpgradeCost() {
+        const nextTier = this.getNextTier();
+        return nextTier ? nextTier.cost : null;
+    }
+
+    // Build cost plus every upgrade bought so far
+    getTotalInvested() {
+        let total = this.cost;
+        for (let i = 0; i < this.tier - 1; i++) {
+            total += this.upgradeTiers[i].cost;
+        }
+        return total;
+    }
+
+    // Applies the next tier's deltas. Paying for it is up to the caller (TowerPlacementSystem).
+    applyUpgrade() {
+        const nextTier = this.getNextTier();
+        if (!nextTier) return false;
+
+        for (const [stat, delta] of Object.entries(nextTier)) {
+            if (stat === 'cost' || typeof delta !== 'number' || typeof this[stat] !== 'number') continue;
+            this[stat] += delta;
+        }
+        this.reloadTime = Math.max(0, this.reloadTime);
+        this.tier++;
+        console.log(`${this.name} upgraded to tier ${this.tier}.`);
+        return true;
+    }
+
+    _drawTierPips(ctx, cellX, cellY) {
+        const pipRadius = this.width * 0.06;
+        const spacing = pipRadius * 2.5;
+        for (let i = 0; i < this.tier; i++) {
+            ctx.beginPath();
+            ctx.arc(cellX + spacing * (i + 0.7), cellY + spacing * 0.7, pipRadius, 0, Math.PI * 2);
+            ctx.fillStyle = '#FFD54F'; // Gold
+            ctx.fill();
+            ctx.strokeStyle = '#263238';
+            ctx.lineWidth = 1;
+            ctx.stroke();
+        }
+    }
+
+    // One chevron per rank in the bottom-right corner
+    _drawRankBadge(ctx, cellX, cellY) {
+        const size = this.width * 0.1;
+        const rightX = cellX + this.width - size * 1.2;
+        let bottomY = cellY + this.height - size * 0.6;
+        ctx.strokeStyle = '#FFD54F'; // Gold, like the tier pips
+        ctx.lineWidth = 2;
+        for (let i = 0; i < this.rank; i++) {
+            ctx.beginPath();
+            ctx.moveTo(rightX - size, bottomY);
+            ctx.lineTo(rightX, bottomY - size * 0.7);
+            ctx.lineTo(rightX + size, bottomY);
+            ctx.stroke();
+            bottomY -= size * 0.8;
+        }
+    }
+
+    // Small green arrow in the top-right corner while a support tower buffs this one
+    _drawBuffIndicator(ctx, cellX, cellY) {
+        const size = this.width * 0.12;
+        const tipX = cellX + this.width - size * 1.5;
+        const tipY = cellY + size * 0.5;
+        ctx.beginPath();
+        ctx.moveTo(tipX, tipY);
+        ctx.lineTo(tipX + size, tipY + size * 1.5);
+        ctx.lineTo(tipX - size, tipY + size * 1.5);
+        ctx.closePath();
+        ctx.fillStyle = '#76FF03'; // Light green
+        ctx.fill();
+        ctx.strokeStyle = '#263238';
+        ctx.lineWidth = 1;
+        ctx.stroke();
+    }
+
     draw(ctx, isSelected = false, isHovered = false) {
         const cellX = this.gridX * this.mapSystem.cellSize;
         const cellY = this.gridY * this.mapSystem.cellSize;
@@ -111,7 +415,7 @@ class CannonTower {
         // Draw base
         ctx.fillStyle = this.baseColor;
         ctx.fillRect(cellX, cellY, this.width, this.height);
-        ctx.strokeStyle = '#37474F';
+        ctx.strokeStyle = this.damageFlashTimeLeft > 0 ? '#FF1744' : '#37474F'; // Flashes red when hit
         ctx.strokeRect(cellX, cellY, this.width, this.height);
         
         // Draw turret mount (a circle in the center)
@@ -134,37 +438,150 @@ class CannonTower {
         
         ctx.restore();
 
+        // Tier indicator (one pip per tier) in the top-left corner
+        this._drawTierPips(ctx, cellX, cellY);
+        if (this.hasBuffs()) {
+            this._drawBuffIndicator(ctx, cellX, cellY);
+        }
+        if (this.rank > 0) {
+            this._drawRankBadge(ctx, cellX, cellY);
+        }
+        if (this.hp < this.maxHp) {
+            this._drawHpBar(ctx, cellX, cellY);
+        }
+
         // Draw range circle if selected or hovered (TD-PLAN 5.1 & 4.9)
         if (isSelected || isHovered) {
             ctx.beginPath();
-            ctx.arc(this.x, this.y, this.range, 0, Math.PI * 2);
+            if (this.firingArc !== null) { // Only the cone the tower can fire into
+                ctx.moveTo(this.x, this.y);
+                ctx.arc(this.x, this.y, this.getStat('range'), this.facingAngle - this.firingArc / 2, this.facingAngle + this.firingArc / 2);
+                ctx.closePath();
+            } else {
+                ctx.arc(this.x, this.y, this.getStat('range'), 0, Math.PI * 2);
+            }
             ctx.strokeStyle = 'rgba(255, 255, 255, 0.5)';
             ctx.lineWidth = 2;
             ctx.stroke();
             ctx.fillStyle = 'rgba(200, 200, 255, 0.1)';
             ctx.fill();
+
+            if (this.minRange > 0) { // Dead zone
+                ctx.beginPath();
+                ctx.arc(this.x, this.y, this.minRange, 0, Math.PI * 2);
+                ctx.strokeStyle = 'rgba(255, 100, 100, 0.6)';
+                ctx.lineWidth = 1;
+                ctx.stroke();
+            }
         }
     }
     
+    // Called by TowerPlacementSystem when the tower is sold or otherwise taken off the map
+    onRemoved() {
+        this.isActive = false;
+        this.currentTarget = null;
+    }
+
+    // --- Durability ---
+    takeDamage(amount) {
+        if (!this.isActive || this.isDestroyed || amount <= 0) return;
+        this.hp = Math.max(0, this.hp - amount);
+        this.damageFlashTimeLeft = this.damageFlashDuration;
+        if (this.hp <= 0) {
+            this.destroy();
+        }
+    }
+
+    // Frees the tower's cells, which emits 'mapStructureChanged' so enemies re-path.
+    // TowerPlacementSystem sees isDestroyed on its next update and drops the tower from its list.
+    destroy() {
+        if (this.isDestroyed) return;
+        this.isDestroyed = true;
+        this.onRemoved();
+        this.mapSystem.removeTower(this.gridX, this.gridY);
+        console.log(`${this.name} at (${this.gridX}, ${this.gridY}) was destroyed.`);
+    }
+
+    // Subclasses that override update() call this too
+    _updateDamageFlash(dt) {
+        this.damageFlashTimeLeft = Math.max(0, this.damageFlashTimeLeft - dt);
+    }
+
+    _drawHpBar(ctx, cellX, cellY) {
+        const barHeight = 3;
+        const barY = cellY + this.height - barHeight - 1;
+        ctx.fillStyle = '#B71C1C';
+        ctx.fillRect(cellX + 1, barY, this.width - 2, barHeight);
+        ctx.fillStyle = '#66BB6A';
+        ctx.fillRect(cellX + 1, barY, (this.width - 2) * (this.hp / this.maxHp), barHeight);
+    }
+
     // Required by MapSystem for placing on grid
     getGridPosition() {
         return { x: this.gridX, y: this.gridY };
     }
     
+    _describeTargetLayers() {
+        if (this.targetLayers.ground && this.targetLayers.air) return 'Ground & Air';
+        return this.targetLayers.air ? 'Air only' : 'Ground only';
+    }
+
     // For UI display
     getStats() {
         return {
             name: this.name,
             cost: this.cost,
             damage: this.damage,
+            damageType: this.damageType,
             range: this.range,
             reload: this.reloadTime,
+            projectileSpeed: this.projectileSpeed,
+            ballistic: this.ballistic,
+            targets: this._describeTargetLayers(),
+            detectionRange: this.detectionRange,
+            hp: Math.ceil(this.hp),
+            maxHp: this.maxHp,
             description: this.description,
-            dps: (this.damage / this.reloadTime).toFixed(1)
+            dps: (this.getStat('damage') / this.getStat('reloadTime')).toFixed(1), // Buffed
+            buffed: this._hasStatModifiers() ? { // Values after buffs and veterancy bonuses, null when unmodified
+                damage: this._roundStat(this.getStat('damage')),
+                range: this._roundStat(this.getStat('range')),
+                reload: this._roundStat(this.getStat('reloadTime'))
+            } : null,
+            footprint: { ...this.footprint },
+            tier: this.tier,
+            maxTier: this.getMaxTier(),
+            upgradeCost: this.getUpgradeCost(), // null at max tier
+            targetingMode: this.targetingMode,
+            turnSpeed: Math.round(this.turnSpeed * 180 / Math.PI), // Degrees per second
+            firingArc: this.firingArc !== null ? Math.round(this.firingArc * 180 / Math.PI) : null, // Degrees, null = full circle
+            facingAngle: this.facingAngle,
+            rank: this.getRank().name,
+            experience: Math.floor(this.experience),
+            nextRankXp: this.getNextRank() ? this.getNextRank().xp : null, // null at the highest rank
+            kills: this.kills,
+            color: this.baseColor // Used by the placement preview
         };
     }
 }
 
+// Which buff kind affects each stat read through getStat()
+CannonTower.BUFFED_STATS = {
+    damage: 'damage',
+    minDps: 'damage',
+    maxDps: 'damage',
+    range: 'range',
+    reloadTime: 'fireRate'
+};
+
+// Veterancy ranks, in order. Bonuses are totals for the rank (not cumulative), same kinds as buffs.
+CannonTower.VETERANCY_RANKS = [
+    { name: 'Recruit', xp: 0 },
+    { name: 'Veteran', xp: 250, damage: 0.05, range: 0.02, fireRate: 0.05 },
+    { name: 'Elite', xp: 1000, damage: 0.1, range: 0.05, fireRate: 0.1 },
+    { name: 'Heroic', xp: 3000, damage: 0.2, range: 0.08, fireRate: 0.15 }
+];
+
 // To make it accessible for TowerPlacementSystem or UIManager to get stats
 // window.TowerTypes = window.TowerTypes || {};
 // window.TowerTypes.CannonTower = CannonTower;
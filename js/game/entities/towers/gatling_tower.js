@@ -0,0 +1,35 @@
+class GatlingTower extends CannonTower {
+    constructor(mapSystem, enemyManager, munitionsManager, gridX, gridY) {
+        super(mapSystem, enemyManager, munitionsManager, gridX, gridY);
+
+        // Tower Stats (TD-PLAN 5.1) - many weak shots instead of one strong one
+        this.cost = 70;
+        this.range = this.mapSystem.cellSize * 2; // Shorter range than the cannon
+        this.reloadTime = 0.15; // Very short reload
+        this.damage = 4;
+        this.projectileSpeed = 450;
+        this.projectileRadius = 2;
+        this.projectileColor = '#FFEB3B'; // Yellow
+        this.munitionType = 'BasicBullet';
+        this.turnSpeed = Math.PI * 3; // Light turret, swings around quickly
+
+        this.name = "Gatling Tower";
+        this.description = "Rapid-fire tower. Low damage per shot, high rate of fire.";
+        this.upgradeTiers = [
+            { cost: 50, damage: 1, reloadTime: -0.02 },
+            { cost: 100, damage: 2, range: this.mapSystem.cellSize * 0.25, reloadTime: -0.03 },
+            { cost: 180, damage: 3, range: this.mapSystem.cellSize * 0.25, reloadTime: -0.02 },
+        ];
+
+        // Visuals
+        this.baseColor = '#8D6E63'; // Brown
+        this.turretColor = '#5D4037'; // Dark Brown
+        this.turretLength = this.mapSystem.cellSize * 0.35;
+        this.turretWidth = this.mapSystem.cellSize * 0.3; // Wide barrel cluster
+
+        console.log(`GatlingTower created at grid (${gridX}, ${gridY})`);
+    }
+}
+
+// Registered in main.js:
+// this.towerPlacementSystem.registerTowerType('GatlingTower', GatlingTower);
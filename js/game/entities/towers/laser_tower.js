@@ -0,0 +1,82 @@
+class LaserTower extends CannonTower {
+    constructor(mapSystem, enemyManager, munitionsManager, gridX, gridY) {
+        super(mapSystem, enemyManager, munitionsManager, gridX, gridY);
+
+        // Tower Stats (TD-PLAN 5.1) - continuous beam, damage ramps up while focused
+        this.cost = 150;
+        this.range = this.mapSystem.cellSize * 3;
+        this.reloadTime = 0; // Not used, the beam fires continuously
+        this.minDps = 5;
+        this.maxDps = 45;
+        this.chargeTime = 3; // Seconds on one target to reach maxDps
+        this.damage = this.maxDps; // Shown in UI
+        this.damageType = 'energy';
+        this.projectileColor = '#FF1744'; // Red beam
+        this.munitionType = 'Laser';
+        this.turnSpeed = Math.PI;
+
+        this.name = "Laser Tower";
+        this.description = "Focuses a beam on one enemy. Damage and beam width grow the longer it stays locked on.";
+        this.upgradeTiers = [
+            { cost: 100, minDps: 3, maxDps: 15 },
+            { cost: 180, minDps: 4, maxDps: 20, range: this.mapSystem.cellSize * 0.5, chargeTime: -0.5 },
+            { cost: 300, minDps: 6, maxDps: 30, chargeTime: -0.5 },
+        ];
+
+        // State
+        this.activeBeam = null; // Laser munition currently fired by this tower
+
+        // Visuals
+        this.baseColor = '#4A148C'; // Deep purple
+        this.turretColor = '#7B1FA2';
+        this.turretLength = this.mapSystem.cellSize * 0.35;
+        this.turretWidth = this.mapSystem.cellSize * 0.15;
+
+        console.log(`LaserTower created at grid (${gridX}, ${gridY})`);
+    }
+
+    update(dt) {
+        this._updateDamageFlash(dt);
+        this._updateTarget();
+
+        if (this.currentTarget) {
+            const isAimed = this._aimAt(this.currentTarget, dt);
+
+            // A new beam starts uncharged once the emitter is aligned; it deactivates itself when the lock is lost
+            if (isAimed && (!this.activeBeam || !this.activeBeam.isActive)) {
+                this.shoot();
+            }
+        }
+    }
+
+    shoot() {
+        if (!this.currentTarget) return;
+
+        console.log(`${this.name} locking beam on target.`);
+        this.activeBeam = this.munitionsManager.addMunition({
+            tower: this,
+            target: this.currentTarget,
+            minDps: this.getStat('minDps'),
+            maxDps: this.getStat('maxDps'),
+            chargeTime: this.chargeTime,
+            damageType: this.damageType,
+            color: this.projectileColor,
+            type: this.munitionType,
+            effects: this.onHitEffects
+        });
+    }
+
+    getStats() {
+        const stats = super.getStats();
+        stats.damage = `${this.minDps}-${this.maxDps}/s`;
+        stats.reload = 0;
+        stats.dps = `${this._roundStat(this.getStat('minDps'))}-${this._roundStat(this.getStat('maxDps'))}`; // Buffed
+        if (stats.buffed) {
+            stats.buffed.damage = `${stats.dps}/s`;
+        }
+        return stats;
+    }
+}
+
+// Registered in main.js:
+// this.towerPlacementSystem.registerTowerType('LaserTower', LaserTower);
@@ -0,0 +1,75 @@
+class MortarTower extends CannonTower {
+    constructor(mapSystem, enemyManager, munitionsManager, gridX, gridY) {
+        super(mapSystem, enemyManager, munitionsManager, gridX, gridY);
+        this.setFootprint(2, 2); // Heavy artillery takes a 2x2 area
+
+        // Tower Stats (TD-PLAN 5.1) - slow artillery, splash damage, can't hit up close
+        this.cost = 110;
+        this.range = this.mapSystem.cellSize * 4.5;
+        this.minRange = this.mapSystem.cellSize * 1.5;
+        this.reloadTime = 3.0;
+        this.damage = 40; // At the center of the blast
+        this.damageType = 'explosive';
+        this.blastRadius = this.mapSystem.cellSize * 0.9;
+        this.minDamageRatio = 0.3; // Share of damage at the blast edge
+        this.projectileSpeed = 140;
+        this.projectileRadius = 4;
+        this.projectileColor = '#3E2723'; // Dark brown shell
+        this.munitionType = 'MortarShell';
+        this.turnSpeed = Math.PI * 0.5; // Heavy tube, slowest to turn
+        this.targetLayers = { ground: true, air: false }; // Shells burst on the ground
+        this.aimTolerance = 0.15; // Splash makes up for a slightly off aim
+        this.onHitEffects = [{ type: 'burn', duration: 3, strength: 6 }]; // Sets the blast area on fire
+
+        this.name = "Mortar Tower";
+        this.description = "Lobs shells at the spot the enemy was on when fired, so fast enemies can outrun them. Splash damage, falling off toward the edge. Sets enemies in the blast on fire. Can't hit enemies close to the tower or flying enemies.";
+        this.upgradeTiers = [
+            { cost: 80, damage: 15, blastRadius: this.mapSystem.cellSize * 0.15 },
+            { cost: 150, damage: 20, range: this.mapSystem.cellSize * 0.5, reloadTime: -0.4 },
+            { cost: 250, damage: 35, blastRadius: this.mapSystem.cellSize * 0.25, reloadTime: -0.4 },
+        ];
+
+        // Visuals
+        this.baseColor = '#6D4C41'; // Brown
+        this.turretColor = '#3E2723';
+        this.turretLength = this.mapSystem.cellSize * 0.6;
+        this.turretWidth = this.mapSystem.cellSize * 0.5; // Short, wide tube
+
+        console.log(`MortarTower created at grid (${gridX}, ${gridY})`);
+    }
+
+    shoot() {
+        if (!this.currentTarget) return;
+
+        console.log(`${this.name} firing at target position.`);
+        const impactPoint = this.ballistic ? this._computeInterceptPoint(this.currentTarget) : this.currentTarget;
+        this.munitionsManager.addMunition({
+            startX: this.x,
+            startY: this.y,
+            targetX: impactPoint.x, // Ground point, the shell does not follow the enemy
+            targetY: impactPoint.y,
+            enemyManager: this.enemyManager,
+            speed: this.projectileSpeed,
+            damage: this.getStat('damage'),
+            damageType: this.damageType,
+            blastRadius: this.blastRadius,
+            minDamageRatio: this.minDamageRatio,
+            targetLayers: this.targetLayers,
+            radius: this.projectileRadius,
+            color: this.projectileColor,
+            type: this.munitionType,
+            effects: this.onHitEffects,
+            source: this
+        });
+    }
+
+    getStats() {
+        const stats = super.getStats();
+        stats.minRange = this.minRange;
+        stats.blastRadius = this.blastRadius;
+        return stats;
+    }
+}
+
+// Registered in main.js:
+// this.towerPlacementSystem.registerTowerType('MortarTower', MortarTower);
@@ -0,0 +1,68 @@
+class RadarTower extends CannonTower {
+    constructor(mapSystem, enemyManager, munitionsManager, gridX, gridY) {
+        super(mapSystem, enemyManager, munitionsManager, gridX, gridY);
+
+        // Tower Stats (TD-PLAN 5.1) - no attack, reveals stealthed enemies so other towers can target them
+        this.cost = 90;
+        this.detectionRange = this.mapSystem.cellSize * 3; // Also its range, see getStat()
+        this.reloadTime = 0; // Not used, detection is always on
+        this.damage = 0;
+
+        this.name = "Radar Tower";
+        this.description = "Doesn't attack. Reveals stealthed enemies inside its radius so every tower can target them.";
+        this.upgradeTiers = [
+            { cost: 70, detectionRange: this.mapSystem.cellSize * 0.5 },
+            { cost: 120, detectionRange: this.mapSystem.cellSize * 0.5 },
+            { cost: 200, detectionRange: this.mapSystem.cellSize },
+        ];
+
+        // Visuals
+        this.baseColor = '#37474F'; // Dark slate
+        this.turretColor = '#4DD0E1'; // Cyan dish
+        this.turretLength = this.mapSystem.cellSize * 0.35;
+        this.turretWidth = this.mapSystem.cellSize * 0.1;
+        this.sweepColor = 'rgba(77, 208, 225, 0.15)';
+
+        console.log(`RadarTower created at grid (${gridX}, ${gridY})`);
+    }
+
+    update(dt) {
+        this._updateDamageFlash(dt);
+        this.turretAngle += dt * 2; // Dish sweeps around, detection itself is done by EnemyManager.updateDetection()
+    }
+
+    draw(ctx, isSelected = false, isHovered = false) {
+        // Sweep wedge trailing the dish
+        ctx.beginPath();
+        ctx.moveTo(this.x, this.y);
+        ctx.arc(this.x, this.y, this.detectionRange, this.turretAngle - 0.5, this.turretAngle);
+        ctx.closePath();
+        ctx.fillStyle = this.sweepColor;
+        ctx.fill();
+
+        super.draw(ctx, isSelected, isHovered);
+    }
+
+    // The range circle shows the area EnemyManager.updateDetection() actually reveals, so range is
+    // always detectionRange. Support buffs and veterancy don't change it.
+    getStat(stat) {
+        return stat === 'range' ? this.detectionRange : super.getStat(stat);
+    }
+
+    getStats() {
+        const stats = super.getStats();
+        stats.range = this.detectionRange;
+        stats.buffed = null;
+        stats.damage = 0;
+        stats.reload = 0;
+        stats.dps = 'N/A';
+        stats.damageType = null;
+        stats.targetingMode = null; // Reveals enemies, doesn't target them
+        stats.rank = null; // Deals no damage, so never gains experience
+        stats.targets = 'Detects stealth';
+        return stats;
+    }
+}
+
+// Registered in main.js:
+// this.towerPlacementSystem.registerTowerType('RadarTower', RadarTower);
@@ -0,0 +1,84 @@
+class SlowTower extends CannonTower {
+    constructor(mapSystem, enemyManager, munitionsManager, gridX, gridY) {
+        super(mapSystem, enemyManager, munitionsManager, gridX, gridY);
+
+        // Tower Stats (TD-PLAN 5.1) - no damage, slows every enemy inside its aura
+        this.cost = 80;
+        this.range = this.mapSystem.cellSize * 2;
+        this.reloadTime = 0; // Not used, the aura is always on
+        this.damage = 0;
+        this.slowMultiplier = 0.6; // Enemies move at 60% speed inside the aura
+        this.slowDuration = 0.5; // Seconds the slow lingers after leaving the aura
+
+        this.name = "Slow Tower";
+        this.description = "Deals no damage. Slows all enemies inside its aura. Slows from several towers do not stack, the strongest one applies.";
+        this.upgradeTiers = [
+            { cost: 60, slowMultiplier: -0.05, range: this.mapSystem.cellSize * 0.25 },
+            { cost: 110, slowMultiplier: -0.05, range: this.mapSystem.cellSize * 0.25 },
+            { cost: 200, slowMultiplier: -0.1, range: this.mapSystem.cellSize * 0.5 },
+        ];
+
+        // Visuals
+        this.baseColor = '#0277BD'; // Light blue
+        this.turretColor = '#01579B';
+        this.turretLength = this.mapSystem.cellSize * 0.2;
+        this.turretWidth = this.mapSystem.cellSize * 0.2;
+        this.auraColor = 'rgba(79, 195, 247, 0.15)';
+        this.auraBorderColor = 'rgba(79, 195, 247, 0.5)';
+        this.auraPulse = 0; // Animation timer for the aura
+
+        console.log(`SlowTower created at grid (${gridX}, ${gridY})`);
+    }
+
+    update(dt) {
+        this._updateDamageFlash(dt);
+        this.auraPulse += dt;
+        this.turretAngle += dt; // Emitter spins slowly
+
+        const enemiesInAura = this.enemyManager.getTargetableEnemiesInRadius({ x: this.x, y: this.y }, this.getStat('range'), this.targetLayers);
+        for (const enemy of enemiesInAura) {
+            this._applySlow(enemy);
+        }
+    }
+
+    // Slows never stack with each other, so several towers cannot freeze an enemy:
+    // the 'slow' status effect keeps the strongest one. BasicEnemy also clamps speed at minSpeedMultiplier.
+    _applySlow(enemy) {
+        if (typeof enemy.applyStatusEffect !== 'function') return;
+        enemy.applyStatusEffect('slow', { strength: 1 - this.slowMultiplier, duration: this.slowDuration, source: this });
+    }
+
+    draw(ctx, isSelected = false, isHovered = false) {
+        // Aura, always visible and gently pulsing
+        const pulse = 0.9 + 0.1 * Math.sin(this.auraPulse * 3);
+        ctx.beginPath();
+        const auraRange = this.getStat('range');
+        ctx.arc(this.x, this.y, auraRange * pulse, 0, Math.PI * 2);
+        ctx.fillStyle = this.auraColor;
+        ctx.fill();
+        ctx.beginPath();
+        ctx.arc(this.x, this.y, auraRange, 0, Math.PI * 2);
+        ctx.strokeStyle = this.auraBorderColor;
+        ctx.lineWidth = 1;
+        ctx.stroke();
+
+        super.draw(ctx, isSelected, isHovered);
+    }
+
+    getStats() {
+        const stats = super.getStats();
+        stats.damage = `Slow ${Math.round((1 - this.slowMultiplier) * 100)}%`;
+        stats.reload = 0;
+        stats.dps = 'N/A';
+        if (stats.buffed) {
+            stats.buffed.damage = stats.damage; // Only the aura range can be buffed
+        }
+        stats.damageType = null;
+        stats.targetingMode = null; // Affects every enemy in range, no target to pick
+        stats.rank = null; // Deals no damage, so never gains experience
+        return stats;
+    }
+}
+
+// Registered in main.js:
+// this.towerPlacementSystem.registerTowerType('SlowTower', SlowTower);
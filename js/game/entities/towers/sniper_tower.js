@@ -0,0 +1,56 @@
+class SniperTower extends CannonTower {
+    constructor(mapSystem, enemyManager, munitionsManager, gridX, gridY) {
+        super(mapSystem, enemyManager, munitionsManager, gridX, gridY);
+
+        // Tower Stats (TD-PLAN 5.1) - long range, slow, heavy hitting
+        this.cost = 120;
+        this.range = this.mapSystem.cellSize * 6;
+        this.reloadTime = 2.5;
+        this.damage = 60;
+        this.projectileColor = '#E0F7FA'; // Pale cyan tracer
+        this.munitionType = 'SniperBullet'; // Hitscan, see SniperBullet
+        this.tracerDuration = 0.15; // Seconds the tracer stays visible
+        this.tracerWidth = 2;
+        this.turnSpeed = Math.PI * 0.75; // Long barrel, slow to traverse
+        this.firingArc = Math.PI * 2 / 3; // 120 degree cone around the direction it was placed facing
+        this.onHitEffects = [{ type: 'armor_shred', duration: 6, strength: 1 }]; // Each hit strips a point of armor
+
+        this.name = "Sniper Tower";
+        this.description = "Long range tower. Hits instantly for heavy damage and shreds armor, but reloads slowly. Only fires into a 120 degree cone in the direction it was placed facing.";
+        this.upgradeTiers = [
+            { cost: 90, damage: 30, range: this.mapSystem.cellSize * 0.5 },
+            { cost: 160, damage: 45, range: this.mapSystem.cellSize * 0.5, reloadTime: -0.3 },
+            { cost: 260, damage: 75, range: this.mapSystem.cellSize, reloadTime: -0.4 },
+        ];
+
+        // Visuals
+        this.baseColor = '#546E7A'; // Slate
+        this.turretColor = '#263238'; // Near black
+        this.turretLength = this.mapSystem.cellSize * 0.6; // Long, thin barrel
+        this.turretWidth = this.mapSystem.cellSize * 0.1;
+
+        console.log(`SniperTower created at grid (${gridX}, ${gridY})`);
+    }
+
+    shoot() {
+        if (!this.currentTarget) return;
+
+        console.log(`${this.name} shooting at target.`);
+        this.munitionsManager.addMunition({
+            startX: this.x,
+            startY: this.y,
+            target: this.currentTarget,
+            damage: this.getStat('damage'),
+            damageType: this.damageType,
+            color: this.projectileColor,
+            tracerDuration: this.tracerDuration,
+            tracerWidth: this.tracerWidth,
+            type: this.munitionType,
+            effects: this.onHitEffects,
+            source: this
+        });
+    }
+}
+
+// Registered in main.js:
+// this.towerPlacementSystem.registerTowerType('SniperTower', SniperTower);
@@ -0,0 +1,85 @@
+class SupportTower extends CannonTower {
+    constructor(mapSystem, enemyManager, munitionsManager, gridX, gridY) {
+        super(mapSystem, enemyManager, munitionsManager, gridX, gridY);
+
+        // Tower Stats (TD-PLAN 5.1) - no attack, buffs towers inside its aura
+        this.cost = 140;
+        this.range = this.mapSystem.cellSize * 2; // Aura radius, measured to the buffed tower's center
+        this.reloadTime = 0; // Not used, the aura is always on
+        this.damage = 0;
+        this.isSupport = true; // Support towers don't buff each other
+        this.damageBuff = 0.2; // +20% damage
+        this.rangeBuff = 0.1; // +10% range
+        this.fireRateBuff = 0.15; // +15% fire rate
+
+        this.name = "Support Tower";
+        this.description = "Doesn't attack. Boosts damage, range and fire rate of towers inside its aura. Buffs from several support towers do not stack, the strongest one applies.";
+        this.upgradeTiers = [
+            { cost: 100, damageBuff: 0.05, fireRateBuff: 0.05 },
+            { cost: 180, rangeBuff: 0.05, range: this.mapSystem.cellSize * 0.5 },
+            { cost: 280, damageBuff: 0.1, rangeBuff: 0.05, fireRateBuff: 0.1 },
+        ];
+
+        // Visuals
+        this.baseColor = '#2E7D32'; // Green
+        this.turretColor = '#66BB6A';
+        this.turretLength = this.mapSystem.cellSize * 0.15;
+        this.turretWidth = this.mapSystem.cellSize * 0.3;
+        this.auraColor = 'rgba(118, 255, 3, 0.08)';
+        this.auraBorderColor = 'rgba(118, 255, 3, 0.4)';
+
+        console.log(`SupportTower created at grid (${gridX}, ${gridY})`);
+    }
+
+    update(dt) {
+        this._updateDamageFlash(dt);
+        this.turretAngle += dt * 0.5; // Antenna turns slowly, buffs are applied by applyAura()
+    }
+
+    getBuffBonuses() {
+        return { damage: this.damageBuff, range: this.rangeBuff, fireRate: this.fireRateBuff };
+    }
+
+    // Called by TowerPlacementSystem.recalculateTowerBuffs() after the towers' buffs were cleared
+    applyAura(towers) {
+        const bonuses = this.getBuffBonuses();
+        const range = this.getStat('range');
+        for (const tower of towers) {
+            if (tower === this || tower.isSupport || typeof tower.setBuff !== 'function') continue;
+            const dx = tower.x - this.x;
+            const dy = tower.y - this.y;
+            if (dx * dx + dy * dy <= range * range) {
+                tower.setBuff(this, bonuses);
+            }
+        }
+    }
+
+    draw(ctx, isSelected = false, isHovered = false) {
+        // Aura, always visible so the player can see which towers are covered
+        ctx.beginPath();
+        ctx.arc(this.x, this.y, this.getStat('range'), 0, Math.PI * 2);
+        ctx.fillStyle = this.auraColor;
+        ctx.fill();
+        ctx.strokeStyle = this.auraBorderColor;
+        ctx.lineWidth = 1;
+        ctx.stroke();
+
+        super.draw(ctx, isSelected, isHovered);
+    }
+
+    getStats() {
+        const stats = super.getStats();
+        const percent = (value) => `+${Math.round(value * 100)}%`;
+        stats.damage = `Buff ${percent(this.damageBuff)} dmg, ${percent(this.rangeBuff)} range, ${percent(this.fireRateBuff)} rate`;
+        stats.reload = 0;
+        stats.dps = 'N/A';
+        stats.damageType = null;
+        stats.targetingMode = null; // Buffs towers, doesn't target enemies
+        stats.rank = null; // Deals no damage, so never gains experience
+        stats.targets = null;
+        return stats;
+    }
+}
+
+// Registered in main.js:
+// this.towerPlacementSystem.registerTowerType('SupportTower', SupportTower);
@@ -0,0 +1,67 @@
+class TeslaTower extends CannonTower {
+    constructor(mapSystem, enemyManager, munitionsManager, gridX, gridY) {
+        super(mapSystem, enemyManager, munitionsManager, gridX, gridY);
+
+        // Tower Stats (TD-PLAN 5.1) - chain lightning, good against dense packs
+        this.cost = 130;
+        this.range = this.mapSystem.cellSize * 2.5;
+        this.reloadTime = 1.5;
+        this.damage = 30; // Damage to the first enemy in the chain
+        this.damageType = 'energy';
+        this.maxJumps = 3; // Extra enemies the bolt jumps to
+        this.jumpRadius = this.mapSystem.cellSize * 1.5;
+        this.jumpDamageMultiplier = 0.7; // Each jump keeps 70% of the previous damage
+        this.projectileColor = '#B3E5FC'; // Pale electric blue
+        this.munitionType = 'ChainLightning';
+        this.turnSpeed = Math.PI * 8; // Coil discharges in any direction, practically no turning
+        this.onHitEffects = [{ type: 'stun', duration: 0.3 }]; // Brief stun on every enemy in the chain
+
+        this.name = "Tesla Tower";
+        this.description = "Fires lightning that jumps between nearby enemies, losing damage on each jump and briefly stunning every enemy hit. Never hits the same enemy twice.";
+        this.upgradeTiers = [
+            { cost: 90, damage: 8, maxJumps: 1 },
+            { cost: 160, damage: 12, jumpRadius: this.mapSystem.cellSize * 0.5, reloadTime: -0.2 },
+            { cost: 260, damage: 18, maxJumps: 2, jumpDamageMultiplier: 0.1 },
+        ];
+
+        // Visuals
+        this.baseColor = '#37474F';
+        this.turretColor = '#0288D1';
+        this.turretLength = this.mapSystem.cellSize * 0.25;
+        this.turretWidth = this.mapSystem.cellSize * 0.25; // Stubby coil
+
+        console.log(`TeslaTower created at grid (${gridX}, ${gridY})`);
+    }
+
+    shoot() {
+        if (!this.currentTarget) return;
+
+        console.log(`${this.name} discharging at target.`);
+        this.munitionsManager.addMunition({
+            startX: this.x,
+            startY: this.y,
+            target: this.currentTarget,
+            enemyManager: this.enemyManager,
+            damage: this.getStat('damage'),
+            damageType: this.damageType,
+            maxJumps: this.maxJumps,
+            jumpRadius: this.jumpRadius,
+            jumpDamageMultiplier: this.jumpDamageMultiplier,
+            targetLayers: this.targetLayers,
+            color: this.projectileColor,
+            type: this.munitionType,
+            effects: this.onHitEffects,
+            source: this
+        });
+    }
+
+    getStats() {
+        const stats = super.getStats();
+        stats.maxJumps = this.maxJumps;
+        stats.jumpRadius = this.jumpRadius;
+        return stats;
+    }
+}
+
+// Registered in main.js:
+// this.towerPlacementSystem.registerTowerType('TeslaTower', TeslaTower);
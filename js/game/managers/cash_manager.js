@@ -9,6 +9,7 @@ class CashManager {
         }
         if (this.eventEmitter) {
             this.eventEmitter.emit('cashChanged', { currentCash: this.cash });
+            this.eventEmitter.on('bossDefeated', (data) => this.addCash(data.bounty));
         }
         console.log(`CashManager initialized with ${this.cash} cash.`);
     }
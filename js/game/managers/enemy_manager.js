@@ -9,17 +9,39 @@ class EnemyManager {
         this.eventEmitter = eventEmitter; // For game-wide events
 
         this.enemies = []; // List of active enemy instances
+        this.hoveredEnemy = null; // Enemy under the mouse, shown in the enemy tooltip
+        this.statusEffects = {}; // Status effect type -> definition, see StatusEffects and BasicEnemy.applyStatusEffect
+        this.activeBosses = new Set(); // Bosses on the field; boss waves can have several (see WaveGenerator)
 
         if (this.eventEmitter) {
             // Listen for map changes that might require enemies to update paths
             this.eventEmitter.on('mapStructureChanged', () => this.updateAllEnemyPaths());
+            // Hover detection for the enemy tooltip (InputSystem emits on the same emitter)
+            this.eventEmitter.on('mousemove', (data) => this._updateHoveredEnemy(data));
         }
         console.log("EnemyManager initialized.");
     }
 
+    registerStatusEffect(type, definition) {
+        if (typeof type !== 'string' || !definition || !['refresh', 'stack', 'strongest'].includes(definition.stacking)) {
+            console.error(`EnemyManager: Invalid status effect definition for "${type}".`);
+            return;
+        }
+        this.statusEffects[type] = definition;
+        console.log(`EnemyManager: Registered status effect "${type}".`);
+    }
+
+    getStatusEffect(type) {
+        return this.statusEffects[type] || null;
+    }
+
     addEnemy(enemy) {
         if (enemy && typeof enemy.update === 'function' && typeof enemy.draw === 'function') {
             this.enemies.push(enemy);
+            if (enemy.isBoss) this.activeBosses.add(enemy);
+            if (enemy.isBoss && this.eventEmitter) {
+                this.eventEmitter.emit('bossArrived', { boss: enemy, name: enemy.name, hp: enemy.hp, maxHp: enemy.maxHp });
+            }
         } else {
             console.error("EnemyManager: Attempted to add invalid enemy object.", enemy);
         }
@@ -30,6 +52,7 @@ class EnemyManager {
             const enemy = this.enemies[i];
             enemy.update(dt);
             if (!enemy.isActive) {
+                this.activeBosses.delete(enemy);
                 this.enemies.splice(i, 1); // Remove inactive (dead or reached base) enemies
             }
         }
@@ -41,30 +64,124 @@ class EnemyManager {
         }
     }
 
+    // Topmost active enemy whose body covers the given world position
+    findEnemyAt(worldX, worldY) {
+        for (let i = this.enemies.length - 1; i >= 0; i--) {
+            const enemy = this.enemies[i];
+            if (!enemy.isActive) continue;
+            const dx = enemy.x - worldX;
+            const dy = enemy.y - worldY;
+            if (dx * dx + dy * dy <= enemy.radius * enemy.radius) return enemy;
+        }
+        return null;
+    }
+
+    // First enemy (closest to the start) whose body touches the segment swept by a projectile of the given radius.
+    // Stealth doesn't matter here: a shot already in flight hits whatever is in its way.
+    findEnemyOnSegment(x1, y1, x2, y2, radius = 0, targetLayers = null) {
+        const segX = x2 - x1;
+        const segY = y2 - y1;
+        const segLengthSq = segX * segX + segY * segY;
+        let firstEnemy = null;
+        let firstT = Infinity;
+
+        for (const enemy of this.enemies) {
+            if (!enemy.isActive || !this.canHitEnemy(enemy, targetLayers)) continue;
+            // Closest point on the segment to the enemy center, as a fraction t of the segment
+            const t = segLengthSq > 0 ? Math.max(0, Math.min(1, ((enemy.x - x1) * segX + (enemy.y - y1) * segY) / segLengthSq)) : 0;
+            const dx = enemy.x - (x1 + segX * t);
+            const dy = enemy.y - (y1 + segY * t);
+            const hitDistance = radius + (enemy.radius || 0);
+            if (dx * dx + dy * dy <= hitDistance * hitDistance && t < firstT) {
+                firstT = t;
+                firstEnemy = enemy;
+            }
+        }
+        return firstEnemy;
+    }
+
+    _updateHoveredEnemy(mouseData) {
+        const enemy = this.findEnemyAt(mouseData.worldX, mouseData.worldY);
+        if (!enemy && !this.hoveredEnemy) return;
+        this.hoveredEnemy = enemy;
+        this.eventEmitter.emit('enemyHovered', {
+            info: enemy && typeof enemy.getInfo === 'function' ? enemy.getInfo() : null,
+            canvasX: mouseData.canvasX,
+            canvasY: mouseData.canvasY
+        });
+    }
+
     handleEnemyReachedBase(enemy, damageToBase) {
         console.log("EnemyManager: An enemy reached the base.");
         this.playerBase.takeDamage(damageToBase); // PlayerBase handles its own HP and game over trigger
+        if (enemy.isBoss && this.eventEmitter) {
+            this.eventEmitter.emit('bossEscaped', { boss: enemy, nextBoss: this._removeBoss(enemy) });
+        }
         // Enemy is already marked inactive by itself, will be removed in next update loop
     }
 
-    handleEnemyDefeated(enemy, cashValue) {
+    // killer is the tower that dealt the final blow, if known
+    handleEnemyDefeated(enemy, cashValue, killer = null) {
         console.log("EnemyManager: An enemy was defeated.");
         this.cashManager.addCash(cashValue);
+        if (killer && typeof killer.onKill === 'function') {
+            killer.onKill(enemy);
+        }
+        if (enemy.isBoss && this.eventEmitter) {
+            this.eventEmitter.emit('bossDefeated', { boss: enemy, name: enemy.name, bounty: enemy.bounty || 0, nextBoss: this._removeBoss(enemy) }); // CashManager pays the bounty
+        }
         // Enemy is already marked inactive, will be removed in next update loop
     }
 
+    // Returns a boss that is still alive, for the UI to follow next, or null when none are left
+    _removeBoss(boss) {
+        this.activeBosses.delete(boss);
+        for (const otherBoss of this.activeBosses) {
+            if (otherBoss.isActive) return otherBoss;
+        }
+        return null;
+    }
+
     // --- Helper functions as per TD-PLAN 4.6 ---
-    findNearestEnemy(position, maxRange) {
+    // targetLayers ({ ground, air }) is what the asking tower or munition can hit; null means everything.
+    // Flying enemies need air, all others need ground.
+    canHitEnemy(enemy, targetLayers = null) {
+        if (!targetLayers) return true;
+        return enemy.isFlying ? !!targetLayers.air : !!targetLayers.ground;
+    }
+
+    // Stealthed enemies can only be targeted while detected, i.e. inside the detectionRange of a tower
+    isDetected(enemy) {
+        return !enemy.isStealthed || !!enemy.isDetected;
+    }
+
+    // Called by TowerPlacementSystem every frame, before the towers look for targets
+    updateDetection(towers) {
+        const detectors = towers.filter(tower => tower.isActive && tower.detectionRange > 0);
+        for (const enemy of this.enemies) {
+            if (!enemy.isStealthed) continue;
+            enemy.isDetected = detectors.some(tower => {
+                const dx = enemy.x - tower.x;
+                const dy = enemy.y - tower.y;
+                return dx * dx + dy * dy <= tower.detectionRange * tower.detectionRange;
+            });
+        }
+    }
+
+    // minRange is optional: enemies closer than it are ignored (e.g. mortar dead zone).
+    // filter is optional too: enemies it returns false for are ignored (e.g. outside a firing arc).
+    findNearestEnemy(position, maxRange, minRange = 0, filter = null, targetLayers = null) {
         let nearestEnemy = null;
         let minDistanceSq = maxRange * maxRange;
+        const deadZoneSq = minRange * minRange;
 
         for (const enemy of this.enemies) {
-            if (!enemy.isActive) continue;
+            if (!enemy.isActive || (filter && !filter(enemy)) || !this.canHitEnemy(enemy, targetLayers) || !this.isDetected(enemy)) continue;
             const dx = enemy.x - position.x;
             const dy = enemy.y - position.y;
             const distanceSq = dx * dx + dy * dy;
 
-            if (distanceSq < minDistanceSq) {
+            if (distanceSq < minDistanceSq && distanceSq >= deadZoneSq) {
                 minDistanceSq = distanceSq;
                 nearestEnemy = enemy;
             }
@@ -72,12 +189,81 @@ class EnemyManager {
         return nearestEnemy;
     }
 
-    getEnemiesInRadius(position, radius) {
+    // --- Targeting queries, one per targeting mode (see TARGETING_MODES below) ---
+    getTargetingModes() {
+        return EnemyManager.TARGETING_MODES;
+    }
+
+    // Picks an enemy in range according to a tower's targeting mode
+    findTarget(position, maxRange, mode = 'closest', minRange = 0, filter = null, targetLayers = null) {
+        switch (mode) {
+            case 'first': return this.findFirstEnemy(position, maxRange, minRange, filter, targetLayers);
+            case 'last': return this.findLastEnemy(position, maxRange, minRange, filter, targetLayers);
+            case 'strongest': return this.findStrongestEnemy(position, maxRange, minRange, filter, targetLayers);
+            case 'weakest': return this.findWeakestEnemy(position, maxRange, minRange, filter, targetLayers);
+            case 'fastest': return this.findFastestEnemy(position, maxRange, minRange, filter, targetLayers);
+            case 'closest': return this.findNearestEnemy(position, maxRange, minRange, filter, targetLayers);
+            default:
+                console.warn(`EnemyManager: Unknown targeting mode "${mode}", using closest.`);
+                return this.findNearestEnemy(position, maxRange, minRange, filter, targetLayers);
+        }
+    }
+
+    // Returns the enemy between minRange and maxRange with the highest score
+    _findBestEnemyInRange(position, maxRange, minRange, filter, targetLayers, scoreFn) {
+        let bestEnemy = null;
+        let bestScore = -Infinity;
+        const deadZoneSq = minRange * minRange;
+        for (const enemy of this.getTargetableEnemiesInRadius(position, maxRange, targetLayers)) {
+            const dx = enemy.x - position.x;
+            const dy = enemy.y - position.y;
+            if (dx * dx + dy * dy < deadZoneSq || (filter && !filter(enemy))) continue;
+            const score = scoreFn(enemy);
+            if (score > bestScore) {
+                bestScore = score;
+                bestEnemy = enemy;
+            }
+        }
+        return bestEnemy;
+    }
+
+    // Furthest along its path, i.e. closest to leaking into the base
+    findFirstEnemy(position, maxRange, minRange = 0, filter = null, targetLayers = null) {
+        return this._findBestEnemyInRange(position, maxRange, minRange, filter, targetLayers, enemy => -this._getRemainingPathDistance(enemy));
+    }
+
+    findLastEnemy(position, maxRange, minRange = 0, filter = null, targetLayers = null) {
+        return this._findBestEnemyInRange(position, maxRange, minRange, filter, targetLayers, enemy => this._getRemainingPathDistance(enemy));
+    }
+
+    findStrongestEnemy(position, maxRange, minRange = 0, filter = null, targetLayers = null) {
+        return this._findBestEnemyInRange(position, maxRange, minRange, filter, targetLayers, enemy => enemy.hp);
+    }
+
+    findWeakestEnemy(position, maxRange, minRange = 0, filter = null, targetLayers = null) {
+        return this._findBestEnemyInRange(position, maxRange, minRange, filter, targetLayers, enemy => -enemy.hp);
+    }
+
+    findFastestEnemy(position, maxRange, minRange = 0, filter = null, targetLayers = null) {
+        return this._findBestEnemyInRange(position, maxRange, minRange, filter, targetLayers, enemy => enemy.currentSpeed !== undefined ? enemy.currentSpeed : enemy.speed);
+    }
+
+    _getRemainingPathDistance(enemy) {
+        if (typeof enemy.getRemainingPathDistance === 'function') {
+            return enemy.getRemainingPathDistance();
+        }
+        // Fallback: straight-line distance to the base
+        const dx = this.playerBase.x - enemy.x;
+        const dy = this.playerBase.y - enemy.y;
+        return Math.sqrt(dx * dx + dy * dy);
+    }
+
+    getEnemiesInRadius(position, radius, targetLayers = null) {
         const enemiesInRange = [];
         const radiusSq = radius * radius;
 
         for (const enemy of this.enemies) {
-            if (!enemy.isActive) continue;
+            if (!enemy.isActive || !this.canHitEnemy(enemy, targetLayers)) continue;
             const dx = enemy.x - position.x;
             const dy = enemy.y - position.y;
             const distanceSq = dx * dx + dy * dy;
@@ -88,6 +274,12 @@ class EnemyManager {
         }
         return enemiesInRange;
     }
+
+    // For towers and their munitions: undetected stealthed enemies are left out, so splash and auras don't reveal them either.
+    // Enemies looking for allies (e.g. HealerEnemy) use getEnemiesInRadius, detection doesn't hide anything from them.
+    getTargetableEnemiesInRadius(position, radius, targetLayers = null) {
+        return this.getEnemiesInRadius(position, radius, targetLayers).filter(enemy => this.isDetected(enemy));
+    }
     
     // TD-PLAN 4.6: Function to check if all enemies have a valid path
     // This is useful for the MapSystem when checking tower placement.
@@ -97,7 +289,7 @@ class EnemyManager {
         const targetCoords = this.mapSystem.worldToGrid(this.playerBase.x, this.playerBase.y);
 
         for (const enemy of this.enemies) {
-            if (!enemy.isActive) continue;
+            if (!enemy.isActive || enemy.isFlying) continue; // Flyers don't need a ground path
             // Enemy.path might be null if it just spawned or map changed.
             // A quick check: try to find a path from its current location.
             const currentEnemyGridPos = this.mapSystem.worldToGrid(enemy.x, enemy.y);
@@ -126,8 +318,10 @@ class EnemyManager {
         }
     }
     
+    // Counts enemies still in play. Enemies spawned on death (e.g. SplittingEnemy children) are
+    // added before their parent is removed, so the count never drops to 0 in between.
     getActiveEnemiesCount() {
-        return this.enemies.length;
+        return this.enemies.filter(enemy => enemy.isActive).length;
     }
     
     clearAllEnemies() {
@@ -135,6 +329,9 @@ class EnemyManager {
     }
 }
 
+// Modes towers can pick from, in the order the UI cycles through them
+EnemyManager.TARGETING_MODES = ['first', 'last', 'strongest', 'weakest', 'closest', 'fastest'];
+
 // Example usage in main.js:
 // this.enemyManager = new EnemyManager(this.mapSystem, this.cashManager, this.playerBase, this.eventEmitter);
 // In Game.update(): this.enemyManager.updateEnemies(dt);
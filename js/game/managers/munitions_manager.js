@@ -28,6 +28,7 @@ class MunitionsManager {
     }
 
     // Towers call this with a configuration object for the projectile
+    // Returns the created munition, or null if it could not be created
     addMunition(munitionConfig) {
         const munitionType = munitionConfig.type || 'BasicBullet'; // Default to BasicBullet if type not specified
         
@@ -35,12 +36,14 @@ class MunitionsManager {
             try {
                 const newMunition = this.munitionFactory[munitionType](munitionConfig);
                 this.munitions.push(newMunition);
+                return newMunition;
             } catch (error) {
                 console.error(`MunitionsManager: Error creating munition of type "${munitionType}":`, error, munitionConfig);
             }
         } else {
             console.error(`MunitionsManager: Unknown munition type "${munitionType}". Cannot create projectile.`);
         }
+        return null;
     }
 
     updateMunitions(dt) {
@@ -14,8 +14,24 @@ class UIManager {
         this.towerCostEl = document.getElementById('tower-cost');
         this.towerDamageEl = document.getElementById('tower-damage');
         this.towerRangeEl = document.getElementById('tower-range');
+        this.towerDamageTypeEl = document.getElementById('tower-damage-type');
+        this.towerTargetsEl = document.getElementById('tower-targets');
+        this.towerHpEl = document.getElementById('tower-hp');
         this.towerDescriptionEl = document.getElementById('tower-description');
+        this.towerTierEl = document.getElementById('tower-tier');
+        this.towerRankEl = document.getElementById('tower-rank');
+        this.towerUpgradeCostEl = document.getElementById('tower-upgrade-cost');
+        this.towerUpgradeButtonEl = document.getElementById('tower-upgrade-button');
+        this.towerSellButtonEl = document.getElementById('tower-sell-button');
+        this.towerTargetingButtonEl = document.getElementById('tower-targeting-button');
         
+        this.enemyTooltipEl = document.getElementById('enemy-tooltip');
+
+        this.bossBarEl = document.getElementById('boss-health-bar');
+        this.bossNameEl = document.getElementById('boss-name');
+        this.bossHealthFillEl = document.getElementById('boss-health-fill');
+        this.trackedBoss = null; // Boss the health bar shows, see followBoss()
+
         this.gameOverScreenEl = document.getElementById('game-over-screen');
         this.snackbarEl = document.getElementById('snackbar');
         this.gameVersionEl = document.getElementById('game-version'); // Example: to set from package.json
@@ -44,6 +60,24 @@ class UIManager {
             });
         });
 
+        // Actions for the selected placed tower
+        if (this.towerUpgradeButtonEl) {
+            this.towerUpgradeButtonEl.addEventListener('click', () => {
+                if (this.eventEmitter) this.eventEmitter.emit('upgradeTowerRequested');
+            });
+        }
+        if (this.towerSellButtonEl) {
+            this.towerSellButtonEl.addEventListener('click', () => {
+                if (this.eventEmitter) this.eventEmitter.emit('sellTowerRequested');
+            });
+        }
+        if (this.towerTargetingButtonEl) {
+            this.towerTargetingButtonEl.addEventListener('click', () => {
+                if (this.eventEmitter) this.eventEmitter.emit('cycleTowerTargetingRequested');
+            });
+        }
+        this.setTowerActionsVisible(false);
+
         // Listen for game events that require UI updates
         if (this.eventEmitter) {
             this.eventEmitter.on('cashChanged', (data) => this.updateCash(data.currentCash));
@@ -53,6 +87,24 @@ class UIManager {
             });
             this.eventEmitter.on('playerBaseHpChanged', (data) => this.updateBaseHp(data.currentHp, data.maxHp));
             this.eventEmitter.on('playerBaseDestroyed', () => this.showGameOverScreen());
+            this.eventEmitter.on('enemyHovered', (data) => {
+                if (data.info) this.showEnemyTooltip(data.info, data.canvasX, data.canvasY);
+                else this.hideEnemyTooltip();
+            });
+            this.eventEmitter.on('bossArrived', (data) => {
+                if (!this.trackedBoss || !this.trackedBoss.isActive) this.followBoss(data.boss);
+                this.showSnackbar(`${data.name} incoming!`, 4000);
+            });
+            this.eventEmitter.on('bossHealthChanged', (data) => {
+                if (data.boss === this.trackedBoss) this.updateBossHealthBar(data.hp, data.maxHp);
+            });
+            this.eventEmitter.on('bossDefeated', (data) => {
+                this.followBoss(data.nextBoss);
+                this.showSnackbar(`${data.name} defeated! Bounty: $${data.bounty}`, 4000);
+            });
+            this.eventEmitter.on('bossEscaped', (data) => this.followBoss(data.nextBoss));
+            this.eventEmitter.on('towerUnderAttack', (data) => this.showSnackbar(`${data.tower.name} is under attack!`, 2500));
+            this.eventEmitter.on('towerDestroyed', (data) => this.showSnackbar(`${data.tower.name} was destroyed!`, 3000));
             
             // TD-PLAN 4.10: "stałe powiadomienie, gdy okno gry traci focus"
             this.eventEmitter.on('focusout', () => this.showSnackbar("Game Paused - Click to Resume", 0, true)); // 0 = permanent, true = isPauseNotification
@@ -87,12 +139,7 @@ class UIManager {
         if (!this.towerSelectionPanelEl || !this.eventEmitter) return;
 
         const button = document.createElement('button');
-        // Display basic info: Name, Cost. Could be an image/icon too.
-        button.innerHTML = `${stats.name || typeName}<br>($${stats.cost || '?'})`;
-        button.title = `${stats.description || typeName}
-Cost: ${stats.cost}
-Damage: ${stats.damage}
-Range: ${stats.range}`;
+        this._describeTowerButton(button, typeName, stats);
         button.dataset.towerType = typeName;
         
         button.addEventListener('click', () => {
@@ -104,21 +151,89 @@ Range: ${stats.range}`;
         
         this.towerSelectionPanelEl.appendChild(button);
     }
+
+    // Refreshes a selection button after the type's stats changed (e.g. loaded from the content file)
+    updateTowerSelection(typeName, stats) {
+        if (!this.towerSelectionPanelEl) return;
+        const button = this.towerSelectionPanelEl.querySelector(`button[data-tower-type="${typeName}"]`);
+        if (button) this._describeTowerButton(button, typeName, stats);
+    }
+
+    _describeTowerButton(button, typeName, stats) {
+        // Display basic info: Name, Cost. Could be an image/icon too.
+        this._setTextLines(button, [stats.name || typeName, `($${stats.cost || '?'})`]);
+        button.title = `${stats.description || typeName}
+Cost: ${stats.cost}
+Damage: ${stats.damage}
+Range: ${stats.range}`;
+    }
+    
+    // One line per entry. Names and descriptions can come from the content file, so they go in as text, never as HTML.
+    _setTextLines(element, lines, boldFirstLine = false) {
+        element.textContent = '';
+        lines.forEach((line, index) => {
+            if (index > 0) element.appendChild(document.createElement('br'));
+            if (index === 0 && boldFirstLine) {
+                const strong = document.createElement('strong');
+                strong.textContent = line;
+                element.appendChild(strong);
+            } else {
+                element.appendChild(document.createTextNode(line));
+            }
+        });
+    }
     
     updateTowerStatsPanel(stats) {
         if (!this.towerStatsPanelEl) return;
         if (stats) {
             this.towerNameEl.textContent = stats.name || '-';
             this.towerCostEl.textContent = stats.cost !== undefined ? `$${stats.cost}` : '-';
-            this.towerDamageEl.textContent = stats.damage !== undefined ? `${stats.damage} (DPS: ${stats.dps || 'N/A'})` : '-';
-            this.towerRangeEl.textContent = stats.range || '-';
+            // Buffed towers show "base -> buffed"
+            const buffed = stats.buffed || {};
+            const withBuff = (base, buffedValue) => (buffedValue !== undefined && buffedValue !== base) ? `${base} -> ${buffedValue}` : `${base}`;
+            this.towerDamageEl.textContent = stats.damage !== undefined ? `${withBuff(stats.damage, buffed.damage)} (DPS: ${stats.dps || 'N/A'})` : '-';
+            this.towerRangeEl.textContent = stats.range ? withBuff(stats.range, buffed.range) : '-';
             this.towerDescriptionEl.textContent = stats.description || '-';
+            if (this.towerDamageTypeEl) this.towerDamageTypeEl.textContent = stats.damageType || '-';
+            if (this.towerTargetsEl) this.towerTargetsEl.textContent = stats.targets || '-';
+            if (this.towerHpEl) this.towerHpEl.textContent = stats.hp !== undefined ? `${stats.hp} / ${stats.maxHp}` : '-';
+            if (this.towerTierEl) {
+                this.towerTierEl.textContent = stats.tier !== undefined ? `${stats.tier} / ${stats.maxTier}` : '-';
+            }
+            if (this.towerRankEl) {
+                if (!stats.rank) this.towerRankEl.textContent = '-';
+                else if (stats.nextRankXp === null) this.towerRankEl.textContent = `${stats.rank} (${stats.kills} kills)`;
+                else this.towerRankEl.textContent = `${stats.rank} (${stats.experience} / ${stats.nextRankXp} XP, ${stats.kills} kills)`;
+            }
+            if (this.towerUpgradeCostEl) {
+                if (stats.upgradeCost === undefined) this.towerUpgradeCostEl.textContent = '-';
+                else this.towerUpgradeCostEl.textContent = stats.upgradeCost !== null ? `$${stats.upgradeCost}` : 'Max tier';
+            }
+            if (this.towerUpgradeButtonEl) {
+                this.towerUpgradeButtonEl.disabled = stats.upgradeCost === null;
+            }
+            if (this.towerSellButtonEl && stats.sellValue !== undefined) {
+                this.towerSellButtonEl.textContent = `Sell ($${stats.sellValue})`;
+            }
+            if (this.towerTargetingButtonEl && stats.sellValue !== undefined) {
+                // Only placed towers that pick a single target get the button
+                this.towerTargetingButtonEl.style.display = stats.targetingMode ? 'inline-block' : 'none';
+                if (stats.targetingMode) this.towerTargetingButtonEl.textContent = `Target: ${stats.targetingMode}`;
+            }
             this.towerStatsPanelEl.style.display = 'block';
         } else {
             this.clearTowerStatsPanel();
         }
     }
 
+    // Upgrade/Sell buttons only make sense while a placed tower is selected
+    setTowerActionsVisible(visible) {
+        const display = visible ? 'inline-block' : 'none';
+        if (this.towerUpgradeButtonEl) this.towerUpgradeButtonEl.style.display = display;
+        if (this.towerSellButtonEl) this.towerSellButtonEl.style.display = display;
+        if (this.towerTargetingButtonEl) this.towerTargetingButtonEl.style.display = display;
+    }
+
     clearTowerStatsPanel() {
         if (this.towerStatsPanelEl) {
             this.towerNameEl.textContent = '-';
@@ -126,10 +241,59 @@ Range: ${stats.range}`;
             this.towerDamageEl.textContent = '-';
             this.towerRangeEl.textContent = '-';
             this.towerDescriptionEl.textContent = '-';
+            if (this.towerDamageTypeEl) this.towerDamageTypeEl.textContent = '-';
+            if (this.towerTargetsEl) this.towerTargetsEl.textContent = '-';
+            if (this.towerHpEl) this.towerHpEl.textContent = '-';
+            if (this.towerTierEl) this.towerTierEl.textContent = '-';
+            if (this.towerRankEl) this.towerRankEl.textContent = '-';
+            if (this.towerUpgradeCostEl) this.towerUpgradeCostEl.textContent = '-';
             // this.towerStatsPanelEl.style.display = 'none'; // Or keep it visible but empty
         }
     }
 
+    // --- Enemy Tooltip ---
+    showEnemyTooltip(info, canvasX, canvasY) {
+        if (!this.enemyTooltipEl) return;
+        const defenses = Object.keys(info.resistances).map(type => {
+            const resistancePct = Math.round(info.resistances[type] * 100);
+            return `${type}: ${resistancePct}% res, ${info.armor[type] || 0} armor`;
+        });
+        if (info.maxShield > 0) defenses.unshift(`Shield: ${Math.ceil(info.shield)} / ${info.maxShield}`);
+        if (info.effects && info.effects.length) defenses.push(`Effects: ${info.effects.join(', ')}`);
+        if (info.immunities && info.immunities.length) defenses.push(`Immune: ${info.immunities.join(', ')}`);
+        this._setTextLines(this.enemyTooltipEl, [info.name, `HP: ${Math.ceil(info.hp)} / ${info.maxHp}`, ...defenses], true);
+        this.enemyTooltipEl.style.left = `${canvasX + 12}px`;
+        this.enemyTooltipEl.style.top = `${canvasY + 12}px`;
+        this.enemyTooltipEl.style.display = 'block';
+    }
+
+    hideEnemyTooltip() {
+        if (this.enemyTooltipEl) this.enemyTooltipEl.style.display = 'none';
+    }
+
+    // --- Boss Health Bar ---
+    // The bar follows one boss at a time; when it dies or escapes, the next live boss (if any) takes over
+    followBoss(boss) {
+        this.trackedBoss = boss || null;
+        if (this.trackedBoss) this.showBossHealthBar(boss.name, boss.hp, boss.maxHp);
+        else this.hideBossHealthBar();
+    }
+
+    showBossHealthBar(name, hp, maxHp) {
+        if (!this.bossBarEl) return;
+        if (this.bossNameEl) this.bossNameEl.textContent = name;
+        this.updateBossHealthBar(hp, maxHp);
+        this.bossBarEl.style.display = 'block';
+    }
+
+    updateBossHealthBar(hp, maxHp) {
+        if (this.bossHealthFillEl) this.bossHealthFillEl.style.width = `${Math.max(0, hp / maxHp) * 100}%`;
+    }
+
+    hideBossHealthBar() {
+        if (this.bossBarEl) this.bossBarEl.style.display = 'none';
+    }
+
     // --- Game Over Screen ---
     showGameOverScreen() {
         if (this.gameOverScreenEl) {
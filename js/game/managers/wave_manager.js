@@ -14,8 +14,15 @@ class WaveManager {
         this.timeSinceLastSpawn = 0;
         
         this.isSpawning = false;
-        this.waveDefinitions = this._defineWaves(); // Method to get all wave structures
-        this.currentWaveDefinition = null; // { groups: [{ type, count, delay, mods }, ...], spawnIndex, groupIndex }
+        this.isWaveInProgress = false; // From the first spawn until every enemy of the wave (and its offspring) is gone
+        // Enemy type registry, see registerEnemyType(). Waves can only use registered types.
+        this.enemyTypes = {
+            // Example: 'BasicEnemy': { class: BasicEnemy, stats: { hp: 50, speed: 50 } }
+        };
+        this.waveDefinitions = []; // Set by loadWaves(), after the enemy types are registered. start() falls back to _defineWaves()
+        this.pinnedWaves = {}; // Wave number -> hand-authored definition, see pinWave()
+        this.waveGenerator = null; // Builds waves past the loaded ones, see setWaveGenerator()
+        this.currentWaveDefinition = null; // { groups: [{ type, count, spawnDelay, mods }, ...], spawnIndex, groupIndex }
         
         this.isRunning = false; // Flag to control overall wave generation (e.g., for game over)
         this.playerBaseTargetCoords = null; // To pass to enemies
@@ -33,11 +40,159 @@ class WaveManager {
         console.log("WaveManager initialized.");
     }
 
+    // Registers an enemy class under a name wave definitions can use. `stats` are defaults applied
+    // on top of the class's own (e.g. { hp, speed, cashValue, damageToBase, armor, resistances }).
+    registerEnemyType(typeName, enemyClass, stats = {}) {
+        if (typeof typeName === 'string' && typeof enemyClass === 'function') {
+            this.enemyTypes[typeName] = { class: enemyClass, stats: stats };
+            console.log(`WaveManager: Registered enemy type "${typeName}".`);
+        } else {
+            console.error("WaveManager: Invalid typeName or enemyClass for enemy type registration.");
+        }
+    }
+
+    // Overrides default stats of a registered type, e.g. from the content file (see ContentLoader)
+    setEnemyStats(typeName, stats) {
+        if (!this.hasEnemyType(typeName)) {
+            console.error(`WaveManager: Unknown enemy type "${typeName}". Cannot set stats.`);
+            return;
+        }
+        const enemyType = this.enemyTypes[typeName];
+        enemyType.stats = { ...enemyType.stats, ...stats };
+    }
+
+    hasEnemyType(typeName) {
+        return Object.prototype.hasOwnProperty.call(this.enemyTypes, typeName);
+    }
+
+    // Creates an enemy of a registered type at a grid cell, with its default stats and wave mods applied.
+    // Returns null for unknown types.
+    createEnemy(typeName, gridX, gridY, mods = {}) {
+        if (!this.hasEnemyType(typeName)) {
+            console.error(`WaveManager: Unknown enemy type "${typeName}". Cannot spawn.`);
+            return null;
+        }
+        if (!this.playerBaseTargetCoords) {
+            console.error("WaveManager: Player base target not set. Cannot spawn.");
+            return null;
+        }
+        const enemyType = this.enemyTypes[typeName];
+        const enemy = new enemyType.class(
+            this.mapSystem,
+            gridX,
+            gridY,
+            this.playerBaseTargetCoords.x,
+            this.playerBaseTargetCoords.y,
+            this.enemyManager
+        );
+        this._applyEnemyStats(enemy, enemyType.stats);
+        this._applyWaveMods(enemy, mods);
+        return enemy;
+    }
+
+    _applyEnemyStats(enemy, stats) {
+        for (const [stat, value] of Object.entries(stats)) {
+            if (value && typeof value === 'object' && !Array.isArray(value) && typeof enemy[stat] === 'object') {
+                enemy[stat] = { ...enemy[stat], ...value }; // e.g. armor: { physical: 5 } keeps the other types
+            } else {
+                enemy[stat] = value;
+            }
+        }
+        if (stats.hp !== undefined && stats.maxHp === undefined) enemy.maxHp = enemy.hp;
+        if (stats.speed !== undefined) enemy.currentSpeed = enemy.speed;
+        if (stats.maxShield !== undefined && stats.shield === undefined) enemy.shield = enemy.maxShield;
+    }
+
+    // Wave group mods (TD-PLAN 4.8): { hpMultiplier, speedMultiplier, cashValueMultiplier, shield, shieldRegenRate }
+    _applyWaveMods(enemy, mods) {
+        if (!mods) return;
+        if (mods.hpMultiplier && enemy.hp) {
+            enemy.hp = Math.round(enemy.hp * mods.hpMultiplier);
+            enemy.maxHp = Math.round(enemy.maxHp * mods.hpMultiplier);
+        }
+        if (mods.speedMultiplier && enemy.speed) {
+            enemy.speed *= mods.speedMultiplier;
+            enemy.currentSpeed = enemy.speed;
+        }
+        if (mods.cashValueMultiplier && enemy.cashValue) {
+            enemy.cashValue = Math.round(enemy.cashValue * mods.cashValueMultiplier);
+        }
+        if (mods.shield) { // Added on top of any shield the type already has, starts full
+            enemy.maxShield += mods.shield;
+            enemy.shield = enemy.maxShield;
+        }
+        if (mods.shieldRegenRate) {
+            enemy.shieldRegenRate = mods.shieldRegenRate;
+        }
+    }
+
+    // Replaces the wave list. Throws if a wave is malformed or names an unregistered enemy type,
+    // so bad definitions fail on load instead of in the middle of a wave.
+    loadWaves(waveDefinitions = this._defineWaves()) {
+        if (!Array.isArray(waveDefinitions)) {
+            throw new Error("WaveManager: Wave definitions must be an array.");
+        }
+        waveDefinitions.forEach((wave, waveIndex) => this._validateWave(wave, waveIndex + 1));
+        this.waveDefinitions = waveDefinitions;
+        console.log(`WaveManager: Loaded ${waveDefinitions.length} waves.`);
+    }
+
+    // Hand-authored wave at a fixed number. Takes precedence over loaded and generated waves.
+    pinWave(waveNumber, waveDefinition) {
+        if (!Number.isInteger(waveNumber) || waveNumber < 1) {
+            throw new Error(`WaveManager: Can't pin a wave at number ${waveNumber}.`);
+        }
+        this._validateWave(waveDefinition, waveNumber);
+        this.pinnedWaves[waveNumber] = waveDefinition;
+    }
+
+    // With a generator the game is endless: every wave past the loaded ones is generated
+    setWaveGenerator(waveGenerator) {
+        for (const type of waveGenerator.getEnemyTypes()) {
+            if (!this.hasEnemyType(type)) {
+                throw new Error(`WaveManager: Wave generator uses unknown enemy type "${type}".`);
+            }
+        }
+        this.waveGenerator = waveGenerator;
+    }
+
+    // Pinned wave, else the loaded one, else a generated one. null when there is no wave N.
+    getWaveDefinition(waveNumber) {
+        if (this.pinnedWaves[waveNumber]) return this.pinnedWaves[waveNumber];
+        if (waveNumber <= this.waveDefinitions.length) return this.waveDefinitions[waveNumber - 1];
+        if (this.waveGenerator) {
+            const wave = this.waveGenerator.generateWave(waveNumber);
+            // No groups when no type is unlocked yet: the wave spawns nothing and the countdown moves on
+            if (wave.groups.length > 0) this._validateWave(wave, waveNumber);
+            return wave;
+        }
+        return null;
+    }
+
+    // Only the next wave counts: a wave pinned past a gap is never reached without a generator
+    hasMoreWaves() {
+        return !!this.waveGenerator || this.getWaveDefinition(this.currentWaveNumber + 1) !== null;
+    }
+
+    _validateWave(wave, waveNumber) {
+        if (!wave || !Array.isArray(wave.groups) || wave.groups.length === 0) {
+            throw new Error(`WaveManager: Wave ${waveNumber} has no groups.`);
+        }
+        wave.groups.forEach((group, groupIndex) => {
+            if (!this.hasEnemyType(group.type)) {
+                throw new Error(`WaveManager: Wave ${waveNumber}, group ${groupIndex + 1} uses unknown enemy type "${group.type}".`);
+            }
+            if (!(group.count > 0)) {
+                throw new Error(`WaveManager: Wave ${waveNumber}, group ${groupIndex + 1} needs a count above 0.`);
+            }
+        });
+    }
+
     _defineWaves() {
         // TD-PLAN 4.8: Defines structure of waves.
         // Each wave is an array of groups. Each group: { type, count, spawnDelay, mods }
         // `spawnDelay` is delay between enemies within this group.
-        // `mods` can be { hpMultiplier, speedMultiplier }
+        // `mods` can be { hpMultiplier, speedMultiplier, cashValueMultiplier, shield, shieldRegenRate }, see _applyWaveMods()
         return [
             // Wave 1
             { 
@@ -59,19 +214,44 @@ class WaveManager {
                     { type: 'BasicEnemy', count: 5, spawnDelay: 0.6, mods: { speedMultiplier: 1.2 } },
                 ]
             },
-            // Add more complex waves here...
-            // Example with different enemy types (assuming they exist)
-            // {
-            //     groups: [
-            //         { type: 'FastEnemy', count: 10, spawnDelay: 0.5, mods: {} },
-            //         { type: 'ArmoredEnemy', count: 3, spawnDelay: 1.5, mods: {} },
-            //     ]
-            // }
+            // Wave 4
+            {
+                groups: [
+                    { type: 'FastEnemy', count: 10, spawnDelay: 0.5, mods: {} },
+                    { type: 'ArmoredEnemy', count: 3, spawnDelay: 1.5, mods: {} },
+                    { type: 'SplittingEnemy', count: 3, spawnDelay: 1.2, mods: {} },
+                ]
+            },
+            // Wave 5
+            {
+                groups: [
+                    { type: 'ArmoredEnemy', count: 4, spawnDelay: 1.2, mods: {} },
+                    { type: 'HealerEnemy', count: 2, spawnDelay: 1.0, mods: {} },
+                    { type: 'FlyingEnemy', count: 4, spawnDelay: 1.0, mods: {} },
+                    { type: 'StealthEnemy', count: 4, spawnDelay: 0.8, mods: {} },
+                    { type: 'BasicEnemy', count: 10, spawnDelay: 0.6, mods: { hpMultiplier: 1.3, shield: 20 } },
+                ]
+            },
+            // Wave 6 - milestone boss
+            {
+                groups: [
+                    { type: 'FastEnemy', count: 6, spawnDelay: 0.5, mods: {} },
+                    { type: 'SapperEnemy', count: 3, spawnDelay: 1.0, mods: { shield: 30 } },
+                    { type: 'BossEnemy', count: 1, spawnDelay: 2.0, mods: {} },
+                    { type: 'HealerEnemy', count: 2, spawnDelay: 1.0, mods: {} },
+                ]
+            },
+            // Later waves come from the WaveGenerator set up in main.js
         ];
     }
 
     start() {
         if (this.isRunning) return;
+        if (this.waveDefinitions.length === 0 && !this.waveGenerator && Object.keys(this.pinnedWaves).length === 0) {
+            // Nothing loaded: fall back to the built-in waves. Throws if their enemy types aren't registered.
+            console.log("WaveManager: No waves loaded, using the built-in waves.");
+            this.loadWaves();
+        }
         this.isRunning = true;
         this.currentWaveNumber = 0;
         this.timeToNextWave = this.interWaveTime / 3; // Shorter time for first wave
@@ -82,6 +262,7 @@ class WaveManager {
     stop() {
         this.isRunning = false;
         this.isSpawning = false;
+        this.isWaveInProgress = false;
         console.log("WaveManager stopped.");
     }
 
@@ -113,7 +294,13 @@ class WaveManager {
                 }
             }
         } else { // Between waves or waiting for active enemies to clear
-            if (this.enemyManager.getActiveEnemiesCount() === 0 && this.currentWaveNumber > 0 && this.currentWaveNumber >= this.waveDefinitions.length) {
+            if (this.isWaveInProgress && this.enemyManager.getActiveEnemiesCount() === 0) {
+                this.isWaveInProgress = false;
+                console.log(`Wave ${this.currentWaveNumber} cleared.`);
+                if (this.eventEmitter) this.eventEmitter.emit('waveCleared', { waveNumber: this.currentWaveNumber });
+            }
+
+            if (this.enemyManager.getActiveEnemiesCount() === 0 && this.currentWaveNumber > 0 && !this.hasMoreWaves()) {
                  console.log("All defined waves completed and enemies cleared. VICTORY (for now)!");
                  this.uiManager.showSnackbar("All waves cleared! YOU WIN!", 0); // 0 for permanent
                  this.stop(); // Stop further wave processing
@@ -137,20 +324,21 @@ class WaveManager {
     }
 
     _startNextWave() {
-        if (this.currentWaveNumber >= this.waveDefinitions.length) {
+        const nextWave = this.getWaveDefinition(this.currentWaveNumber + 1);
+        if (!nextWave) {
             console.log("All defined waves have been initiated.");
              // Game doesn't end here, but waits for enemies to clear. See update loop.
             this.uiManager.updateWaveTimer("All waves sent!");
-            // If we want continuous play, generate more waves or scale existing ones.
             return;
         }
 
         this.currentWaveNumber++;
-        this.currentWaveDefinition = JSON.parse(JSON.stringify(this.waveDefinitions[this.currentWaveNumber - 1])); // Deep copy
+        this.currentWaveDefinition = JSON.parse(JSON.stringify(nextWave)); // Deep copy
         this.currentWaveDefinition.groupIndex = 0;
         this.currentWaveDefinition.groups.forEach(g => g.spawnedCount = 0); // Initialize spawned count
 
-        this.isSpawning = true;
+        this.isSpawning = this.currentWaveDefinition.groups.length > 0;
+        this.isWaveInProgress = true;
         this.timeSinceLastSpawn = 0; // Ready to spawn first enemy of the new wave immediately
         this.timeToNextWave = this.interWaveTime; // Reset countdown for the wave AFTER this one
 
@@ -175,49 +363,8 @@ class WaveManager {
         const activeSpawnPoints = spawnPoints; // TODO: Filter by difficulty
 
         for (const spawnPoint of activeSpawnPoints) {
-            let enemyType = group.type; // e.g., 'BasicEnemy'
-            let enemyClass;
-
-            // This is a simple way to get class by name. A factory or registry is more robust.
-            if (enemyType === 'BasicEnemy') {
-                enemyClass = window.BasicEnemy; // Assumes BasicEnemy is globally accessible
-            } else {
-                console.warn(`WaveManager: Unknown enemy type "${enemyType}" in wave definition.`);
-                try {
-                    enemyClass = window[enemyType]; // Try to get it globally
-                    if (!enemyClass) throw new Error("Not found");
-                } catch (e) {
-                     console.error(`Failed to find class for enemy type: ${enemyType}. Skipping spawn.`);
-                     return;
-                }
-            }
-            
-            if (!enemyClass) {
-                console.error(`WaveManager: Class for enemy type "${enemyType}" not found. Cannot spawn.`);
-                continue;
-            }
-
-            const newEnemy = new enemyClass(
-                this.mapSystem,
-                spawnPoint.x,
-                spawnPoint.y,
-                this.playerBaseTargetCoords.x,
-                this.playerBaseTargetCoords.y,
-                this.enemyManager
-            );
-
-            // Apply modifiers from wave definition (TD-PLAN 4.8)
-            if (group.mods) {
-                if (group.mods.hpMultiplier && newEnemy.hp) {
-                    newEnemy.hp = Math.round(newEnemy.hp * group.mods.hpMultiplier);
-                    newEnemy.maxHp = Math.round(newEnemy.maxHp * group.mods.hpMultiplier);
-                }
-                if (group.mods.speedMultiplier && newEnemy.speed) {
-                    newEnemy.speed *= group.mods.speedMultiplier;
-                }
-                // Add other mods as needed (e.g., cashValueMultiplier)
-            }
-            this.enemyManager.addEnemy(newEnemy);
+            const newEnemy = this.createEnemy(group.type, spawnPoint.x, spawnPoint.y, group.mods);
+            if (newEnemy) this.enemyManager.addEnemy(newEnemy);
         }
         // console.log(`Spawned one set of ${group.type} from ${activeSpawnPoints.length} points.`);
     }
@@ -231,11 +378,10 @@ class WaveManager {
     }
 }
 
-// Ensure BasicEnemy (and other enemy types) are defined globally or use a factory.
-// window.BasicEnemy = BasicEnemy; // If BasicEnemy is not already global.
-
 // Example usage in main.js:
 // this.waveManager = new WaveManager(this.mapSystem, this.enemyManager, this.uiManager, this.eventEmitter);
+// this.waveManager.registerEnemyType('BasicEnemy', BasicEnemy); // See Game.registerContentTypes()
+// this.waveManager.loadWaves(); // Default waves, validated against the registered types
 // this.eventEmitter.emit('playerBaseInitialized', this.playerBase); // Trigger target coords setup
 // this.waveManager.start(); // Or listen to a 'startGame' event
 // In Game.update(): this.waveManager.update(dt);
@@ -0,0 +1,316 @@
+class ContentLoader {
+    // Loads balancing data (enemy stats, tower stats, waves) from JSON and applies it to the registries.
+    // Content format, every section optional (see ContentLoader.SCHEMA for the allowed fields):
+    // {
+    //   "enemies": { "FastEnemy": { "hp": 25, "speed": 100, "armor": { "physical": 1 } } },
+    //   "towers": { "CannonTower": { "cost": 50, "damage": 15, "range": 100, "upgradeTiers": [{ "cost": 40, "damage": 8 }] } },
+    //   "waves": [{ "groups": [{ "type": "BasicEnemy", "count": 5, "spawnDelay": 1.0, "mods": { "hpMultiplier": 1.2 } }] }],
+    //   "pinnedWaves": { "15": { "groups": [{ "type": "BossEnemy", "count": 2, "spawnDelay": 3 }] } }
+    // }
+    // Distances (range, minRange, detectionRange...) are in pixels, angles in radians, times in seconds.
+    // Stats only change enemies and towers created afterwards, so load content before the game starts.
+    constructor(waveManager, towerPlacementSystem) {
+        if (!waveManager || !towerPlacementSystem) {
+            throw new Error("ContentLoader requires WaveManager and TowerPlacementSystem instances.");
+        }
+        this.waveManager = waveManager;
+        this.towerPlacementSystem = towerPlacementSystem;
+        this.enemyManager = waveManager.enemyManager; // For status effect names
+    }
+
+    // source is a content object, or a URL/path to a JSON file. Resolves with the content once applied.
+    // Rejects without applying anything if the content is invalid; the error message lists every problem.
+    load(source) {
+        const contentPromise = typeof source === 'string' ? this._fetchJson(source) : Promise.resolve(source);
+        return contentPromise.then(content => {
+            const errors = this.validate(content);
+            if (errors.length > 0) {
+                throw new Error(`ContentLoader: Invalid content${typeof source === 'string' ? ` in "${source}"` : ''}:\n  ${errors.join('\n  ')}`);
+            }
+            this.apply(content);
+            return content;
+        });
+    }
+
+    _fetchJson(url) {
+        return fetch(url).then(response => {
+            if (!response.ok) {
+                throw new Error(`ContentLoader: Could not load "${url}" (HTTP ${response.status}).`);
+            }
+            return response.json().catch(error => {
+                throw new Error(`ContentLoader: "${url}" is not valid JSON: ${error.message}`);
+            });
+        });
+    }
+
+    // Returns a list of readable errors, each starting with the path of the offending value
+    // (e.g. "waves[2].groups[0].count: expected a whole number >= 1, got 0"). Empty when valid.
+    validate(content) {
+        const errors = [];
+        this._checkValue(content, ContentLoader.SCHEMA, '', errors);
+        if (errors.length === 0) {
+            this._checkReferences(content, errors); // Names only make sense once the shape is right
+        }
+        return errors;
+    }
+
+    apply(content) {
+        for (const [typeName, stats] of Object.entries(content.enemies || {})) {
+            this.waveManager.setEnemyStats(typeName, stats);
+        }
+        for (const [typeName, stats] of Object.entries(content.towers || {})) {
+            this.towerPlacementSystem.setTowerStats(typeName, stats);
+        }
+        if (content.waves) {
+            this.waveManager.loadWaves(content.waves);
+        }
+        for (const [waveNumber, wave] of Object.entries(content.pinnedWaves || {})) {
+            this.waveManager.pinWave(Number(waveNumber), wave);
+        }
+        console.log("ContentLoader: Content applied.");
+    }
+
+    // --- Schema checks ---
+    _checkValue(value, schema, path, errors) {
+        const fail = (expected) => errors.push(`${path || 'content'}: expected ${expected}, got ${this._describe(value)}`);
+
+        switch (schema.type) {
+            case 'number':
+                if (typeof value !== 'number' || !Number.isFinite(value)) return fail('a number');
+                if (schema.integer && !Number.isInteger(value)) return fail(`a whole number${this._describeBounds(schema)}`);
+                if ((schema.min !== undefined && value < schema.min) || (schema.max !== undefined && value > schema.max) ||
+                    (schema.above !== undefined && value <= schema.above)) {
+                    return fail(`a ${schema.integer ? 'whole ' : ''}number${this._describeBounds(schema)}`);
+                }
+                return;
+            case 'boolean':
+                if (typeof value !== 'boolean') return fail('true or false');
+                return;
+            case 'string':
+                if (typeof value !== 'string') return fail('a string');
+                if (schema.enum && !schema.enum.includes(value)) return fail(`one of ${schema.enum.map(option => `"${option}"`).join(', ')}`);
+                return;
+            case 'array':
+                if (!Array.isArray(value)) return fail('an array');
+                if (schema.minItems && value.length < schema.minItems) return fail(`at least ${schema.minItems} entries`);
+                value.forEach((item, index) => this._checkValue(item, schema.items, `${path}[${index}]`, errors));
+                return;
+            case 'object':
+                if (!value || typeof value !== 'object' || Array.isArray(value)) return fail('an object');
+                for (const key of schema.required || []) {
+                    if (value[key] === undefined) errors.push(`${this._join(path, key)}: is required`);
+                }
+                for (const [key, item] of Object.entries(value)) {
+                    const itemSchema = (schema.properties && schema.properties[key]) || schema.additionalProperties;
+                    if (!itemSchema) {
+                        errors.push(`${this._join(path, key)}: unknown property`);
+                        continue;
+                    }
+                    this._checkValue(item, itemSchema, this._join(path, key), errors);
+                }
+                return;
+            default:
+                throw new Error(`ContentLoader: Unknown schema type "${schema.type}" at ${path || 'content'}.`);
+        }
+    }
+
+    // --- Reference checks: names must match what's registered ---
+    _checkReferences(content, errors) {
+        for (const [typeName, stats] of Object.entries(content.enemies || {})) {
+            const path = this._join('enemies', typeName);
+            if (!this.waveManager.hasEnemyType(typeName)) {
+                errors.push(`${path}: unknown enemy type, registered types are ${Object.keys(this.waveManager.enemyTypes).join(', ')}`);
+                continue;
+            }
+            // Type-specific stats (e.g. healAmount) aren't in the schema, so check them against a throwaway enemy
+            const enemy = this._createSampleEnemy(typeName);
+            const knownStats = ContentLoader.SCHEMA.properties.enemies.additionalProperties.properties;
+            for (const stat of Object.keys(stats)) {
+                if (!knownStats[stat] && typeof enemy[stat] !== 'number') errors.push(`${path}.${stat}: unknown stat for ${typeName}`);
+            }
+            (stats.immunities || []).forEach((effectType, index) => this._checkStatusEffect(effectType, `${path}.immunities[${index}]`, errors));
+        }
+
+        for (const [typeName, stats] of Object.entries(content.towers || {})) {
+            const path = this._join('towers', typeName);
+            if (!this.towerPlacementSystem.towerTypes[typeName]) {
+                errors.push(`${path}: unknown tower type, registered types are ${Object.keys(this.towerPlacementSystem.towerTypes).join(', ')}`);
+                continue;
+            }
+            // Type-specific stats (e.g. blastRadius) aren't in the schema, so check them against a real tower
+            const tower = this.towerPlacementSystem.createTower(typeName, -1, -1);
+            const knownStats = ContentLoader.SCHEMA.properties.towers.additionalProperties.properties;
+            for (const stat of Object.keys(stats)) {
+                if (!knownStats[stat] && typeof tower[stat] !== 'number') errors.push(`${path}.${stat}: unknown stat for ${typeName}`);
+            }
+            (stats.upgradeTiers || []).forEach((tier, tierIndex) => {
+                for (const stat of Object.keys(tier)) {
+                    if (stat !== 'cost' && typeof tower[stat] !== 'number') errors.push(`${path}.upgradeTiers[${tierIndex}].${stat}: unknown stat for ${typeName}`);
+                }
+            });
+            (stats.onHitEffects || []).forEach((effect, index) => this._checkStatusEffect(effect.type, `${path}.onHitEffects[${index}].type`, errors));
+        }
+
+        (content.waves || []).forEach((wave, waveIndex) => this._checkWaveReferences(wave, `waves[${waveIndex}]`, errors));
+        for (const [waveNumber, wave] of Object.entries(content.pinnedWaves || {})) {
+            const path = this._join('pinnedWaves', waveNumber);
+            if (!/^[1-9]\d*$/.test(waveNumber)) errors.push(`${path}: wave number must be a whole number >= 1`);
+            this._checkWaveReferences(wave, path, errors);
+        }
+    }
+
+    // Spawned on a spawn cell with that cell as its target, so it finds a path before the base exists
+    _createSampleEnemy(typeName) {
+        const mapSystem = this.waveManager.mapSystem;
+        const cell = mapSystem.getEnemySpawnCoords()[0] || { x: 0, y: 0 };
+        return new this.waveManager.enemyTypes[typeName].class(mapSystem, cell.x, cell.y, cell.x, cell.y, this.enemyManager);
+    }
+
+    _checkWaveReferences(wave, path, errors) {
+        wave.groups.forEach((group, groupIndex) => {
+            if (!this.waveManager.hasEnemyType(group.type)) {
+                errors.push(`${path}.groups[${groupIndex}].type: unknown enemy type "${group.type}"`);
+            }
+        });
+    }
+
+    _checkStatusEffect(effectType, path, errors) {
+        if (!this.enemyManager.getStatusEffect(effectType)) {
+            errors.push(`${path}: unknown status effect "${effectType}", registered effects are ${Object.keys(this.enemyManager.statusEffects).join(', ')}`);
+        }
+    }
+
+    _join(path, key) {
+        return path ? `${path}.${key}` : key;
+    }
+
+    _describe(value) {
+        if (value === undefined) return 'nothing';
+        if (Array.isArray(value)) return 'an array';
+        if (value && typeof value === 'object') return 'an object';
+        return JSON.stringify(value);
+    }
+
+    _describeBounds(schema) {
+        const bounds = [];
+        if (schema.above !== undefined) bounds.push(`> ${schema.above}`);
+        if (schema.min !== undefined) bounds.push(`>= ${schema.min}`);
+        if (schema.max !== undefined) bounds.push(`<= ${schema.max}`);
+        return bounds.length ? ` ${bounds.join(' and ')}` : '';
+    }
+}
+
+// Schema building blocks. Types: number (integer, min, max, above), boolean, string (enum), array (items, minItems),
+// object (properties, required, additionalProperties: schema for other keys; omitted = no other keys allowed).
+ContentLoader.NUMBER = { type: 'number' };
+ContentLoader.NON_NEGATIVE = { type: 'number', min: 0 };
+ContentLoader.POSITIVE = { type: 'number', above: 0 };
+ContentLoader.perDamageType = (valueSchema) => ({
+    type: 'object',
+    properties: { physical: valueSchema, energy: valueSchema, explosive: valueSchema } // BasicEnemy.DAMAGE_TYPES
+});
+
+ContentLoader.WAVE_SCHEMA = {
+    type: 'object',
+    required: ['groups'],
+    properties: {
+        groups: {
+            type: 'array',
+            minItems: 1,
+            items: {
+                type: 'object',
+                required: ['type', 'count'],
+                properties: {
+                    type: { type: 'string' },
+                    count: { type: 'number', integer: true, min: 1 },
+                    spawnDelay: ContentLoader.NON_NEGATIVE,
+                    mods: { // See WaveManager._applyWaveMods
+                        type: 'object',
+                        properties: {
+                            hpMultiplier: ContentLoader.POSITIVE,
+                            speedMultiplier: ContentLoader.POSITIVE,
+                            cashValueMultiplier: ContentLoader.NON_NEGATIVE,
+                            shield: ContentLoader.NON_NEGATIVE,
+                            shieldRegenRate: ContentLoader.NON_NEGATIVE
+                        }
+                    }
+                }
+            }
+        }
+    }
+};
+
+ContentLoader.SCHEMA = {
+    type: 'object',
+    properties: {
+        enemies: {
+            type: 'object',
+            additionalProperties: {
+                type: 'object',
+                properties: {
+                    name: { type: 'string' },
+                    hp: ContentLoader.POSITIVE,
+                    maxHp: ContentLoader.POSITIVE,
+                    speed: ContentLoader.NON_NEGATIVE,
+                    cashValue: ContentLoader.NON_NEGATIVE,
+                    damageToBase: ContentLoader.NON_NEGATIVE,
+                    bounty: ContentLoader.NON_NEGATIVE,
+                    radius: ContentLoader.POSITIVE,
+                    armor: ContentLoader.perDamageType(ContentLoader.NON_NEGATIVE),
+                    resistances: ContentLoader.perDamageType({ type: 'number', min: 0, max: 1 }),
+                    immunities: { type: 'array', items: { type: 'string' } },
+                    maxShield: ContentLoader.NON_NEGATIVE,
+                    shieldRegenDelay: ContentLoader.NON_NEGATIVE,
+                    shieldRegenRate: ContentLoader.NON_NEGATIVE,
+                    shieldDamageTypeMultipliers: ContentLoader.perDamageType(ContentLoader.POSITIVE)
+                },
+                additionalProperties: ContentLoader.NUMBER // Type-specific tuning, e.g. healAmount or splitCount
+            }
+        },
+        towers: {
+            type: 'object',
+            additionalProperties: {
+                type: 'object',
+                properties: {
+                    name: { type: 'string' },
+                    description: { type: 'string' },
+                    cost: { type: 'number', integer: true, min: 0 },
+                    range: ContentLoader.POSITIVE,
+                    minRange: ContentLoader.NON_NEGATIVE,
+                    reloadTime: ContentLoader.NON_NEGATIVE,
+                    damage: ContentLoader.NON_NEGATIVE,
+                    damageType: { type: 'string', enum: ['physical', 'energy', 'explosive'] }, // BasicEnemy.DAMAGE_TYPES
+                    projectileSpeed: ContentLoader.POSITIVE,
+                    ballistic: { type: 'boolean' }, // Non-homing shots aimed at a predicted intercept point, see CannonTower
+                    turnSpeed: ContentLoader.POSITIVE,
+                    maxHp: ContentLoader.POSITIVE,
+                    detectionRange: ContentLoader.NON_NEGATIVE,
+                    onHitEffects: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            required: ['type'],
+                            properties: { type: { type: 'string' }, duration: ContentLoader.NON_NEGATIVE, strength: ContentLoader.NUMBER }
+                        }
+                    },
+                    upgradeTiers: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            required: ['cost'],
+                            properties: { cost: { type: 'number', integer: true, min: 0 } },
+                            additionalProperties: ContentLoader.NUMBER // Added to the tower stat of the same name
+                        }
+                    }
+                },
+                additionalProperties: ContentLoader.NUMBER // Type-specific tuning, e.g. blastRadius or slowMultiplier
+            }
+        },
+        waves: { type: 'array', items: ContentLoader.WAVE_SCHEMA },
+        pinnedWaves: { type: 'object', additionalProperties: ContentLoader.WAVE_SCHEMA } // Keyed by wave number
+    }
+};
+
+// Example usage in main.js, after registerContentTypes():
+// new ContentLoader(this.waveManager, this.towerPlacementSystem).load('content/game_content.json')
+//     .catch(error => console.error(error.message));
@@ -33,6 +33,7 @@ class MapSystem {
         
         this.pathCache = new Map(); // Cache for A* paths: key "startX,startY_endX,endY" -> path
         
+        this.towerEntities = new Map(); // Placed towers: key "x,y" of every covered cell -> tower instance
         this.playerBase = null; // Will be an object like { x, y, entity }
         this.enemySpawns = []; // Array of objects like { x, y, entity }
 
@@ -127,23 +128,36 @@ class MapSystem {
     }
 
     // --- Tower Placement ---
-    canPlaceTower(gridX, gridY) {
-        if (!this.isCellPassable(gridX, gridY, false)) { // Check if cell is empty
-             console.debug(`Tower placement denied at (${gridX},${gridY}): Cell not empty (type ${this.getCellType(gridX,gridY)})`);
-            return false;
+    // Towers cover a rectangle of cells; (gridX, gridY) is its top-left cell
+    getFootprintCells(gridX, gridY, footprintWidth = 1, footprintHeight = 1) {
+        const cells = [];
+        for (let dy = 0; dy < footprintHeight; dy++) {
+            for (let dx = 0; dx < footprintWidth; dx++) {
+                cells.push({ x: gridX + dx, y: gridY + dy });
+            }
         }
+        return cells;
+    }
 
-        // Temporarily place tower to check path blocking
-        const originalCellType = this.grid[gridY][gridX];
-        this.grid[gridY][gridX] = 1; // Simulate tower placement (type 1 for tower)
+    canPlaceTower(gridX, gridY, footprintWidth = 1, footprintHeight = 1) {
+        const cells = this.getFootprintCells(gridX, gridY, footprintWidth, footprintHeight);
+        for (const cell of cells) {
+            if (!this.isCellPassable(cell.x, cell.y, false)) { // Check if every covered cell is empty
+                console.debug(`Tower placement denied at (${cell.x},${cell.y}): Cell not empty (type ${this.getCellType(cell.x, cell.y)})`);
+                return false;
+            }
+        }
 
-        let allPathsValid = true;
         if (!this.playerBase) { // Should not happen in a normal game setup
             console.error("Player base not set, cannot check tower placement.");
-            this.grid[gridY][gridX] = originalCellType; // Revert
             return false;
         }
 
+        // Temporarily place tower to check path blocking (all covered cells were empty)
+        cells.forEach(cell => { this.grid[cell.y][cell.x] = 1; }); // Simulate tower placement (type 1 for tower)
+
+        let allPathsValid = true;
+
         for (const spawn of this.enemySpawns) {
             const path = this.findPath(spawn.x, spawn.y, this.playerBase.x, this.playerBase.y, true); // Force recalculate, ignore cache for this check
             if (!path || path.length === 0) {
@@ -162,15 +176,19 @@ class MapSystem {
         // }
 
 
-        this.grid[gridY][gridX] = originalCellType; // Revert simulation
+        cells.forEach(cell => { this.grid[cell.y][cell.x] = 0; }); // Revert simulation
         if (!allPathsValid) console.debug(`Tower placement denied at (${gridX},${gridY}): Blocks path.`);
         return allPathsValid;
     }
 
+    // The footprint is read from towerEntity.footprint ({ width, height } in cells), default 1x1
     placeTower(gridX, gridY, towerEntity) {
-        if (this.canPlaceTower(gridX, gridY)) {
-            this.setCellType(gridX, gridY, 1); // Type 1 for tower
-            // Store towerEntity if needed, or let another system manage it
+        const footprint = (towerEntity && towerEntity.footprint) || { width: 1, height: 1 };
+        if (this.canPlaceTower(gridX, gridY, footprint.width, footprint.height)) {
+            for (const cell of this.getFootprintCells(gridX, gridY, footprint.width, footprint.height)) {
+                this.setCellType(cell.x, cell.y, 1); // Type 1 for tower
+                if (towerEntity) this.towerEntities.set(`${cell.x},${cell.y}`, towerEntity);
+            }
             console.log(`Tower placed at (${gridX}, ${gridY})`);
             this.invalidatePathCache(); // Paths might change
             // Enemies should recalculate their paths:
@@ -180,9 +198,17 @@ class MapSystem {
         return false;
     }
     
+    // Any covered cell identifies the tower; every cell of its footprint is freed
     removeTower(gridX, gridY) {
         if (this.isValidGridCoords(gridX, gridY) && this.grid[gridY][gridX] === 1) {
-            this.setCellType(gridX, gridY, 0); // Set back to empty
+            const towerEntity = this.getTowerAt(gridX, gridY);
+            const cells = towerEntity && towerEntity.footprint
+                ? this.getFootprintCells(towerEntity.gridX, towerEntity.gridY, towerEntity.footprint.width, towerEntity.footprint.height)
+                : [{ x: gridX, y: gridY }];
+            for (const cell of cells) {
+                this.setCellType(cell.x, cell.y, 0); // Set back to empty
+                this.towerEntities.delete(`${cell.x},${cell.y}`);
+            }
             this.invalidatePathCache();
             if(this.eventEmitter) this.eventEmitter.emit('mapStructureChanged');
             return true;
@@ -190,6 +216,10 @@ class MapSystem {
         return false;
     }
 
+    getTowerAt(gridX, gridY) {
+        return this.towerEntities.get(`${gridX},${gridY}`) || null;
+    }
+
     // --- Pathfinding (A*) ---
     invalidatePathCache() {
         this.pathCache.clear();
@@ -332,11 +362,11 @@ class MapSystem {
         });
     }
     
-    drawPlacementIndicator(gridX, gridY, canPlace) {
+    drawPlacementIndicator(gridX, gridY, canPlace, footprintWidth = 1, footprintHeight = 1) {
         const worldX = gridX * this.cellSize;
         const worldY = gridY * this.cellSize;
         this.ctx.fillStyle = canPlace ? this.colors.validPlacement : this.colors.blockedPlacement;
-        this.ctx.fillRect(worldX, worldY, this.cellSize, this.cellSize);
+        this.ctx.fillRect(worldX, worldY, this.cellSize * footprintWidth, this.cellSize * footprintHeight);
     }
 
     // --- Coordinate Conversion ---
@@ -18,6 +18,15 @@ class TowerPlacementSystem {
         
         this.currentGridHover = { x: -1, y: -1 }; // Current grid cell mouse is over
         this.canPlaceAtCurrentHover = false;
+        this.placementFacing = 0; // Angle new towers face (matters for towers with a firing arc), R rotates it
+        this.hoveredTower = null; // Placed tower under the mouse (when not placing)
+
+        // Placed towers
+        this.towers = []; // All towers currently on the map
+        this.selectedTower = null; // Placed tower the player clicked on
+        this.sellRefundRatio = 0.7; // Share of the total invested cash (build + upgrades) refunded on sell
+        this.statsRefreshInterval = 0.25; // Seconds between live stats panel refreshes
+        this._statsRefreshTimer = 0;
 
         // Store references to actual tower classes
         // This should be populated when tower types are defined/loaded
@@ -33,7 +42,7 @@ class TowerPlacementSystem {
 
     registerTowerType(typeName, towerClass, stats) {
         if (typeof typeName === 'string' && typeof towerClass === 'function') {
-            this.towerTypes[typeName] = { class: towerClass, stats: stats || towerClass.prototype.getStats ? towerClass.prototype.getStats() : {} };
+            this.towerTypes[typeName] = { class: towerClass, stats: stats || this._getDefaultTowerStats(towerClass) };
             console.log(`TowerPlacementSystem: Registered tower type "${typeName}".`);
             // Optionally, tell UIManager to add this tower to the selection panel
             this.uiManager.addTowerToSelection(typeName, this.towerTypes[typeName].stats);
@@ -42,10 +51,54 @@ class TowerPlacementSystem {
         }
     }
 
+    // Overrides the constructor's stats for every tower of this type built from now on
+    // (e.g. from the content file, see ContentLoader). Arrays such as upgradeTiers are replaced whole.
+    setTowerStats(typeName, stats) {
+        const towerType = this.towerTypes[typeName];
+        if (!towerType) {
+            console.error(`TowerPlacementSystem: Unknown tower type "${typeName}". Cannot set stats.`);
+            return;
+        }
+        towerType.statOverrides = { ...towerType.statOverrides, ...stats };
+        towerType.stats = this._getDefaultTowerStats(towerType.class, towerType.statOverrides);
+        this.uiManager.updateTowerSelection(typeName, towerType.stats);
+    }
+
+    // Builds a tower of a registered type with its stat overrides applied. Doesn't place it on the map.
+    createTower(typeName, gridX, gridY) {
+        const towerType = this.towerTypes[typeName];
+        const tower = new towerType.class(this.mapSystem, this.enemyManager, this.munitionsManager, gridX, gridY);
+        this._applyTowerStats(tower, towerType.statOverrides);
+        return tower;
+    }
+
+    _applyTowerStats(tower, stats) {
+        if (!stats) return;
+        for (const [stat, value] of Object.entries(stats)) {
+            tower[stat] = Array.isArray(value) ? value.map(entry => (typeof entry === 'object' ? { ...entry } : entry)) : value;
+        }
+        if (stats.maxHp !== undefined) tower.hp = tower.maxHp;
+    }
+
+    // Stats depend on map settings (e.g. range scales with cellSize), so read them from a
+    // throwaway instance. It is never placed on the map or added to the game.
+    _getDefaultTowerStats(towerClass, statOverrides = null) {
+        if (typeof towerClass.prototype.getStats !== 'function') return {};
+        try {
+            const statsInstance = new towerClass(this.mapSystem, this.enemyManager, this.munitionsManager, -1, -1);
+            this._applyTowerStats(statsInstance, statOverrides);
+            return statsInstance.getStats();
+        } catch (error) {
+            console.error("TowerPlacementSystem: Could not read default stats for tower type.", error);
+            return {};
+        }
+    }
+
     _initEventListeners() {
         // Listen for tower selection from UI (UIManager should emit this)
         this.eventEmitter.on('selectTowerType', (typeName) => {
             if (this.towerTypes[typeName]) {
+                this.deselectTower();
                 this.isPlacingTower = true;
                 this.selectedTowerType = typeName;
                 this.selectedTowerClass = this.towerTypes[typeName].class;
@@ -68,17 +121,25 @@ class TowerPlacementSystem {
             // InputSystem's click event should be high-level enough.
             if (this.isPlacingTower && eventData.button === 0) { // Left click
                 this._attemptPlaceTower(eventData.worldX, eventData.worldY);
+            } else if (!this.isPlacingTower && eventData.button === 0) {
+                // Select the placed tower under the cursor, or deselect when clicking elsewhere
+                const gridCoords = this.mapSystem.worldToGrid(eventData.worldX, eventData.worldY);
+                const clickedTower = this.mapSystem.getTowerAt(gridCoords.x, gridCoords.y);
+                if (clickedTower) this.selectTower(clickedTower);
+                else this.deselectTower();
             }
         });
 
         // Listen for mouse movement to update preview
         this.inputSystem.eventEmitter.on('mousemove', (eventData) => {
-            if (this.isPlacingTower) {
-                const gridCoords = this.mapSystem.worldToGrid(eventData.worldX, eventData.worldY);
+            const gridCoords = this.mapSystem.worldToGrid(eventData.worldX, eventData.worldY);
+            if (!this.isPlacingTower) {
+                this.hoveredTower = this.mapSystem.getTowerAt(gridCoords.x, gridCoords.y);
+            } else {
                 if (gridCoords.x !== this.currentGridHover.x || gridCoords.y !== this.currentGridHover.y) {
                     this.currentGridHover = gridCoords;
                     if (this.mapSystem.isValidGridCoords(gridCoords.x, gridCoords.y)) {
-                         this.canPlaceAtCurrentHover = this.mapSystem.canPlaceTower(gridCoords.x, gridCoords.y);
+                         this.canPlaceAtCurrentHover = this._canPlaceSelectedTowerAt(gridCoords.x, gridCoords.y);
                     } else {
                         this.canPlaceAtCurrentHover = false;
                     }
@@ -89,10 +150,161 @@ class TowerPlacementSystem {
         // Listen for cancel placement (e.g., Escape key or right-click)
         this.inputSystem.eventEmitter.on('keydown:escape', () => {
             if (this.isPlacingTower) this.cancelPlacement();
+            else this.deselectTower();
         });
         this.inputSystem.eventEmitter.on('contextmenu', () => { // Right-click
             if (this.isPlacingTower) this.cancelPlacement();
         });
+
+        // Rotate the facing of the tower being placed by 90 degrees
+        this.inputSystem.eventEmitter.on('keydown:r', () => {
+            if (!this.isPlacingTower) return;
+            this.placementFacing = (this.placementFacing + Math.PI / 2) % (Math.PI * 2);
+            console.log(`TowerPlacementSystem: Placement facing ${Math.round(this.placementFacing * 180 / Math.PI)} degrees.`);
+        });
+
+        // Upgrade the selected tower, or the one under the mouse
+        this.inputSystem.eventEmitter.on('keydown:u', () => {
+            const tower = this.selectedTower || this.hoveredTower;
+            if (!this.isPlacingTower && tower) this.upgradeTower(tower);
+        });
+
+        // Actions from the tower stats panel (UIManager emits these)
+        this.eventEmitter.on('upgradeTowerRequested', () => {
+            if (this.selectedTower) this.upgradeTower(this.selectedTower);
+        });
+        this.eventEmitter.on('sellTowerRequested', () => {
+            if (this.selectedTower) this.sellTower(this.selectedTower);
+        });
+        this.eventEmitter.on('cycleTowerTargetingRequested', () => this._cycleSelectedTowerTargeting());
+        this.inputSystem.eventEmitter.on('keydown:t', () => this._cycleSelectedTowerTargeting());
+
+        // Support tower auras depend on which towers stand where, and on the support tower's tier
+        this.eventEmitter.on('towerPlaced', () => this.recalculateTowerBuffs());
+        this.eventEmitter.on('towerSold', () => this.recalculateTowerBuffs());
+        this.eventEmitter.on('towerUpgraded', () => this.recalculateTowerBuffs());
+        this.eventEmitter.on('towerDestroyed', () => this.recalculateTowerBuffs());
+    }
+
+    // Rebuilds every tower's buffs from the support towers currently on the map
+    recalculateTowerBuffs() {
+        for (const tower of this.towers) {
+            if (typeof tower.clearBuffs === 'function') tower.clearBuffs();
+        }
+        for (const tower of this.towers) {
+            if (typeof tower.applyAura === 'function') tower.applyAura(this.towers);
+        }
+        this._refreshSelectedTowerStats();
+    }
+
+    // --- Selecting and selling placed towers ---
+    selectTower(tower) {
+        this.selectedTower = tower;
+        this._statsRefreshTimer = 0;
+        this._refreshSelectedTowerStats();
+        this.uiManager.setTowerActionsVisible(true);
+        if (this.eventEmitter) this.eventEmitter.emit('towerSelected', tower);
+    }
+
+    deselectTower() {
+        if (!this.selectedTower) return;
+        const tower = this.selectedTower;
+        this.selectedTower = null;
+        this.uiManager.setTowerActionsVisible(false);
+        this.uiManager.clearTowerStatsPanel();
+        if (this.eventEmitter) this.eventEmitter.emit('towerDeselected', tower);
+    }
+
+    _cycleSelectedTowerTargeting() {
+        if (!this.selectedTower || typeof this.selectedTower.cycleTargetingMode !== 'function') return;
+        if (!this.selectedTower.getStats().targetingMode) return; // Tower does not pick targets
+        this.selectedTower.cycleTargetingMode();
+        this._refreshSelectedTowerStats();
+        if (this.eventEmitter) {
+            this.eventEmitter.emit('towerTargetingModeChanged', { tower: this.selectedTower, mode: this.selectedTower.targetingMode });
+        }
+    }
+
+    getSellValue(tower) {
+        return Math.floor(tower.getTotalInvested() * this.sellRefundRatio);
+    }
+
+    _refreshSelectedTowerStats() {
+        if (!this.selectedTower) return;
+        const stats = this.selectedTower.getStats();
+        stats.sellValue = this.getSellValue(this.selectedTower);
+        this.uiManager.updateTowerStatsPanel(stats);
+    }
+
+    // Removes a placed tower and refunds part of what was spent on it
+    sellTower(tower) {
+        const towerIndex = this.towers.indexOf(tower);
+        if (towerIndex === -1) {
+            console.warn("TowerPlacementSystem: Tried to sell a tower that is not placed.");
+            return false;
+        }
+
+        const refund = this.getSellValue(tower);
+        if (tower === this.selectedTower) this.deselectTower();
+        if (tower === this.hoveredTower) this.hoveredTower = null;
+
+        this.towers.splice(towerIndex, 1);
+        if (typeof tower.onRemoved === 'function') tower.onRemoved();
+        // Frees the cell and emits 'mapStructureChanged', so enemies re-path
+        this.mapSystem.removeTower(tower.gridX, tower.gridY);
+        this.cashManager.addCash(refund);
+
+        if (this.eventEmitter) {
+            this.eventEmitter.emit('towerSold', { tower: tower, refund: refund });
+        }
+        console.log(`TowerPlacementSystem: Sold ${tower.name} for ${refund}.`);
+        return true;
+    }
+
+    // Towers destroyed by enemies already freed their cells (see CannonTower.destroy), only the list is left
+    _removeDestroyedTowers() {
+        for (let i = this.towers.length - 1; i >= 0; i--) {
+            const tower = this.towers[i];
+            if (!tower.isDestroyed) continue;
+
+            this.towers.splice(i, 1);
+            if (tower === this.selectedTower) this.deselectTower();
+            if (tower === this.hoveredTower) this.hoveredTower = null;
+            if (this.eventEmitter) this.eventEmitter.emit('towerDestroyed', { tower: tower });
+        }
+    }
+
+    // Buys the next upgrade tier for a placed tower. Returns true if the upgrade happened.
+    upgradeTower(tower) {
+        if (!tower || typeof tower.getUpgradeCost !== 'function') return false;
+
+        const upgradeCost = tower.getUpgradeCost();
+        if (upgradeCost === null) {
+            this.uiManager.showSnackbar(`${tower.name} is already at max tier.`, 2000);
+            return false;
+        }
+        if (!this.cashManager.spendCash(upgradeCost)) {
+            return false; // CashManager shows the "Not enough cash!" snackbar
+        }
+
+        tower.applyUpgrade();
+        if (tower === this.selectedTower) this._refreshSelectedTowerStats(); // The panel only ever shows the selected tower
+        if (this.eventEmitter) {
+            this.eventEmitter.emit('towerUpgraded', { tower: tower, tier: tower.tier, cost: upgradeCost });
+        }
+        console.log(`TowerPlacementSystem: Upgraded ${tower.name} to tier ${tower.tier}.`);
+        return true;
+    }
+
+    // Footprint of the tower type being placed, in cells. The hovered cell is its top-left corner.
+    _getSelectedFootprint() {
+        const stats = this.previewTowerInstance ? this.previewTowerInstance.stats : null;
+        return (stats && stats.footprint) || { width: 1, height: 1 };
+    }
+
+    _canPlaceSelectedTowerAt(gridX, gridY) {
+        const footprint = this._getSelectedFootprint();
+        return this.mapSystem.canPlaceTower(gridX, gridY, footprint.width, footprint.height);
     }
 
     _attemptPlaceTower(worldX, worldY) {
@@ -106,23 +318,19 @@ class TowerPlacementSystem {
 
         const towerCost = this.previewTowerInstance.stats.cost || 0;
 
-        if (this.mapSystem.canPlaceTower(gridCoords.x, gridCoords.y)) {
+        if (this._canPlaceSelectedTowerAt(gridCoords.x, gridCoords.y)) {
             if (this.cashManager.hasEnoughCash(towerCost)) {
                 this.cashManager.spendCash(towerCost);
                 
                 // Create and add the actual tower instance to the game
-                const newTower = new this.selectedTowerClass(
-                    this.mapSystem, 
-                    this.enemyManager, 
-                    this.munitionsManager, 
-                    gridCoords.x, 
-                    gridCoords.y
-                );
+                const newTower = this.createTower(this.selectedTowerType, gridCoords.x, gridCoords.y);
                 
+                if (typeof newTower.setFacing === 'function') newTower.setFacing(this.placementFacing);
+
                 // MapSystem needs to be updated with the new tower
                 this.mapSystem.placeTower(gridCoords.x, gridCoords.y, newTower);
+                this.towers.push(newTower);
                 
-                // Add to a central list of towers (e.g., in the main Game class or an Entity Manager)
                 if (this.eventEmitter) {
                     this.eventEmitter.emit('towerPlaced', newTower);
                 }
@@ -135,7 +343,7 @@ class TowerPlacementSystem {
                     this.cancelPlacement();
                  } else {
                     // Reset hover validity for next placement, as map changed
-                    this.canPlaceAtCurrentHover = this.mapSystem.canPlaceTower(this.currentGridHover.x, this.currentGridHover.y);
+                    this.canPlaceAtCurrentHover = this._canPlaceSelectedTowerAt(this.currentGridHover.x, this.currentGridHover.y);
                  }
 
             } else {
@@ -161,9 +369,28 @@ class TowerPlacementSystem {
     }
 
     update(dt) {
-        // The core logic is event-driven (mouse clicks, key presses).
-        // This update loop is mainly for drawing the preview.
+        // Placement itself is event-driven (mouse clicks, key presses).
         // Mouse move events update currentGridHover and canPlaceAtCurrentHover.
+        this.enemyManager.updateDetection(this.towers);
+        for (const tower of this.towers) {
+            tower.update(dt);
+        }
+        this._removeDestroyedTowers();
+
+        // Keep the stats panel live while a placed tower is selected
+        if (this.selectedTower) {
+            this._statsRefreshTimer -= dt;
+            if (this._statsRefreshTimer <= 0) {
+                this._statsRefreshTimer = this.statsRefreshInterval;
+                this._refreshSelectedTowerStats();
+            }
+        }
+    }
+
+    drawTowers(ctx) {
+        for (const tower of this.towers) {
+            tower.draw(ctx, tower === this.selectedTower, tower === this.hoveredTower);
+        }
     }
 
     draw(ctx) {
@@ -173,6 +400,9 @@ class TowerPlacementSystem {
 
         const worldX = this.currentGridHover.x * this.mapSystem.cellSize;
         const worldY = this.currentGridHover.y * this.mapSystem.cellSize;
+        const footprint = this._getSelectedFootprint();
+        const previewWidth = footprint.width * this.mapSystem.cellSize;
+        const previewHeight = footprint.height * this.mapSystem.cellSize;
         
         // Draw tower preview (semi-transparent)
         // This is tricky because the tower's own draw method is complex.
@@ -182,12 +412,22 @@ class TowerPlacementSystem {
         // Draw a placeholder for the tower type being placed
         const tempTowerColor = this.previewTowerInstance.stats.color || '#888888'; // Use a color from stats or default
         ctx.fillStyle = tempTowerColor;
-        ctx.fillRect(worldX, worldY, this.mapSystem.cellSize, this.mapSystem.cellSize);
+        ctx.fillRect(worldX, worldY, previewWidth, previewHeight);
 
-        // Draw range preview
+        // Draw range preview (only the firing cone for towers with a firing arc, see placementFacing)
         const range = this.previewTowerInstance.stats.range || this.mapSystem.cellSize * 2;
+        const centerX = worldX + previewWidth / 2;
+        const centerY = worldY + previewHeight / 2;
+        const firingArcDegrees = this.previewTowerInstance.stats.firingArc;
         ctx.beginPath();
-        ctx.arc(worldX + this.mapSystem.cellSize / 2, worldY + this.mapSystem.cellSize / 2, range, 0, Math.PI * 2);
+        if (firingArcDegrees) {
+            const halfArc = firingArcDegrees * Math.PI / 360;
+            ctx.moveTo(centerX, centerY);
+            ctx.arc(centerX, centerY, range, this.placementFacing - halfArc, this.placementFacing + halfArc);
+            ctx.closePath();
+        } else {
+            ctx.arc(centerX, centerY, range, 0, Math.PI * 2);
+        }
         ctx.strokeStyle = 'rgba(255, 255, 255, 0.8)';
         ctx.lineWidth = 1;
         ctx.stroke();
@@ -196,7 +436,7 @@ class TowerPlacementSystem {
 
         // Draw placement validity indicator (TD-PLAN 4.4 - MapSystem responsibility)
         // Or, TowerPlacementSystem can do it. Let's do it here.
-        this.mapSystem.drawPlacementIndicator(this.currentGridHover.x, this.currentGridHover.y, this.canPlaceAtCurrentHover);
+        this.mapSystem.drawPlacementIndicator(this.currentGridHover.x, this.currentGridHover.y, this.canPlaceAtCurrentHover, footprint.width, footprint.height);
     }
 }
 
@@ -205,6 +445,7 @@ class TowerPlacementSystem {
 // // After CannonTower class is defined:
 // this.towerPlacementSystem.registerTowerType('CannonTower', CannonTower);
 //
-// In Game.update(): this.towerPlacementSystem.update(dt); // Though mostly event driven
+// In Game.update(): this.towerPlacementSystem.update(dt); // Updates placed towers
 // In Game.draw(), after map but before UI fixed elements:
+// this.towerPlacementSystem.drawTowers(this.ctx); // Draws placed towers
 // this.towerPlacementSystem.draw(this.ctx); // Draws preview
@@ -0,0 +1,124 @@
+class WaveGenerator {
+    // config (all optional): seed, baseBudget, budgetGrowth, hpScalePerWave, speedScalePerWave, maxSpeedMultiplier,
+    // cashScalePerWave, shieldStartWave, shieldPerWave, bossType, bossInterval, bossBudgetShare, maxGroups
+    constructor(config = {}) {
+        // Same seed, same waves. Logged so a run can be replayed.
+        this.seed = config.seed !== undefined ? config.seed >>> 0 : Math.floor(Math.random() * 4294967296);
+
+        // Difficulty budget: wave N can spend baseBudget * budgetGrowth^(N - 1) on enemy costs
+        this.baseBudget = config.baseBudget || 60;
+        this.budgetGrowth = config.budgetGrowth || 1.12;
+
+        // Per-wave scaling, passed to the groups as wave mods (see WaveManager._applyWaveMods)
+        this.hpScalePerWave = config.hpScalePerWave !== undefined ? config.hpScalePerWave : 0.08; // +8% HP per wave
+        this.speedScalePerWave = config.speedScalePerWave !== undefined ? config.speedScalePerWave : 0.01;
+        this.maxSpeedMultiplier = config.maxSpeedMultiplier || 1.5;
+        this.cashScalePerWave = config.cashScalePerWave !== undefined ? config.cashScalePerWave : 0.04; // Keeps income up with HP
+        this.shieldStartWave = config.shieldStartWave || 12; // Enemies get shields from this wave on
+        this.shieldPerWave = config.shieldPerWave || 5; // Shield added per wave past shieldStartWave
+
+        // Boss waves: every bossInterval waves a boss group spends bossBudgetShare of the budget, escorts get the rest
+        this.bossType = config.bossType || null;
+        this.bossInterval = config.bossInterval || 10;
+        this.bossBudgetShare = config.bossBudgetShare || 0.5;
+
+        this.maxGroups = config.maxGroups || 4;
+        this.enemyPool = []; // { type, cost, unlockWave, spawnDelay }, see addEnemyType()
+
+        console.log(`WaveGenerator initialized with seed ${this.seed}.`);
+    }
+
+    // type must be registered with WaveManager. cost is what one enemy takes from the budget,
+    // unlockWave the first wave it can appear in.
+    addEnemyType(type, { cost, unlockWave = 1, spawnDelay = 1.0 } = {}) {
+        if (typeof type !== 'string' || !(cost > 0)) {
+            console.error(`WaveGenerator: Invalid enemy type entry for "${type}", it needs a cost above 0.`);
+            return;
+        }
+        this.enemyPool.push({ type, cost, unlockWave, spawnDelay });
+    }
+
+    getEnemyTypes() {
+        const types = this.enemyPool.map(entry => entry.type);
+        if (this.bossType) types.push(this.bossType);
+        return types;
+    }
+
+    getBudget(waveNumber) {
+        return this.baseBudget * Math.pow(this.budgetGrowth, waveNumber - 1);
+    }
+
+    isBossWave(waveNumber) {
+        return !!this.bossType && this.bossInterval > 0 && waveNumber % this.bossInterval === 0;
+    }
+
+    // Wave mods shared by every group of wave N
+    getWaveMods(waveNumber) {
+        const wavesIn = waveNumber - 1;
+        const mods = {
+            hpMultiplier: this._round(1 + this.hpScalePerWave * wavesIn),
+            speedMultiplier: this._round(Math.min(this.maxSpeedMultiplier, 1 + this.speedScalePerWave * wavesIn)),
+            cashValueMultiplier: this._round(1 + this.cashScalePerWave * wavesIn)
+        };
+        if (waveNumber >= this.shieldStartWave) {
+            mods.shield = (waveNumber - this.shieldStartWave + 1) * this.shieldPerWave;
+        }
+        return mods;
+    }
+
+    // Builds the definition for wave N, in the format WaveManager.loadWaves() takes.
+    // Each wave has its own random stream, so wave N doesn't depend on which waves were generated before it.
+    generateWave(waveNumber) {
+        const random = WaveGenerator.createRandom(this.seed + waveNumber * 0x9E3779B9);
+        const mods = this.getWaveMods(waveNumber);
+        let budget = this.getBudget(waveNumber);
+        const groups = [];
+
+        if (this.isBossWave(waveNumber)) {
+            const bossCount = Math.floor(waveNumber / (this.bossInterval * 2)) + 1; // A second boss every other boss wave
+            groups.push({ type: this.bossType, count: bossCount, spawnDelay: 2.0, mods: { ...mods } });
+            budget *= 1 - this.bossBudgetShare;
+        }
+
+        const unlocked = this.enemyPool.filter(entry => entry.unlockWave <= waveNumber);
+        if (unlocked.length === 0) {
+            console.warn(`WaveGenerator: No enemy types unlocked by wave ${waveNumber}.`);
+            return { groups };
+        }
+
+        // Budget shares split evenly; each picks a random unlocked type. Shares that pick the same type share a group.
+        const shareCount = Math.min(this.maxGroups, 1 + Math.floor(random() * Math.min(this.maxGroups, unlocked.length)));
+        for (let i = 0; i < shareCount; i++) {
+            const entry = unlocked[Math.floor(random() * unlocked.length)];
+            const count = Math.max(1, Math.floor(budget / shareCount / entry.cost));
+            const existingGroup = groups.find(group => group.type === entry.type);
+            if (existingGroup) {
+                existingGroup.count += count;
+            } else {
+                groups.push({ type: entry.type, count, spawnDelay: entry.spawnDelay, mods: { ...mods } });
+            }
+        }
+        return { groups };
+    }
+
+    _round(value) {
+        return Math.round(value * 100) / 100;
+    }
+
+    // Small seeded PRNG (mulberry32), returns numbers in [0, 1) like Math.random
+    static createRandom(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+}
+
+// Example usage in main.js, after the enemy types are registered:
+// const waveGenerator = new WaveGenerator({ bossType: 'BossEnemy', bossInterval: 10 });
+// waveGenerator.addEnemyType('BasicEnemy', { cost: 10, unlockWave: 1, spawnDelay: 0.8 });
+// this.waveManager.setWaveGenerator(waveGenerator); // Used for waves past the loaded and pinned ones
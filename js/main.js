@@ -98,11 +98,82 @@ class Game {
         // this.munitionsManager = new MunitionsManager(this.eventEmitter);
         // this.towerPlacementSystem = new TowerPlacementSystem(this.mapSystem, this.cashManager, this.enemyManager, this.munitionsManager, this.inputSystem, this.uiManager, this.eventEmitter);
 
-        this.lastTime = performance.now();
-        this.lastUpdateTime = this.lastTime;
-        
-        console.log("Game initialized.");
-        this.startGameLoop();
+        this.registerContentTypes();
+
+        // Balancing data can override the built-in stats and waves, so it has to be applied before the loop starts
+        this.loadContent().then(() => {
+            this.lastTime = performance.now();
+            this.lastUpdateTime = this.lastTime;
+
+            console.log("Game initialized.");
+            this.startGameLoop();
+        });
+    }
+
+    // Enemy stats, tower stats and waves from an inlined object (window.GAME_CONTENT, set by a <script> before main.js)
+    // or from Game.CONTENT_FILE. Invalid or missing content is reported and the built-in defaults stay in place.
+    loadContent() {
+        if (!this.waveManager || !this.towerPlacementSystem) return Promise.resolve();
+
+        const source = window.GAME_CONTENT || Game.CONTENT_FILE;
+        return new ContentLoader(this.waveManager, this.towerPlacementSystem).load(source)
+            .then(() => console.log(`Game: Loaded content from ${typeof source === 'string' ? `"${source}"` : 'window.GAME_CONTENT'}.`))
+            .catch(error => {
+                console.error(error.message);
+                if (this.uiManager) this.uiManager.showSnackbar("Content could not be loaded, using built-in defaults. See the console for details.", 6000);
+            });
+    }
+
+    // Registers status effects and munition, tower and enemy classes with their managers.
+    // Systems that are not initialized yet are skipped.
+    registerContentTypes() {
+        if (this.enemyManager) {
+            for (const [type, definition] of Object.entries(StatusEffects.DEFINITIONS)) {
+                this.enemyManager.registerStatusEffect(type, definition);
+            }
+        }
+        if (this.munitionsManager) {
+            this.munitionsManager.registerMunitionType('BasicBullet', BasicBullet);
+            this.munitionsManager.registerMunitionType('SniperBullet', SniperBullet);
+            this.munitionsManager.registerMunitionType('Laser', Laser);
+            this.munitionsManager.registerMunitionType('MortarShell', MortarShell);
+            this.munitionsManager.registerMunitionType('ChainLightning', ChainLightning);
+        }
+        if (this.towerPlacementSystem) {
+            this.towerPlacementSystem.registerTowerType('CannonTower', CannonTower);
+            this.towerPlacementSystem.registerTowerType('GatlingTower', GatlingTower);
+            this.towerPlacementSystem.registerTowerType('SniperTower', SniperTower);
+            this.towerPlacementSystem.registerTowerType('LaserTower', LaserTower);
+            this.towerPlacementSystem.registerTowerType('SlowTower', SlowTower);
+            this.towerPlacementSystem.registerTowerType('MortarTower', MortarTower);
+            this.towerPlacementSystem.registerTowerType('TeslaTower', TeslaTower);
+            this.towerPlacementSystem.registerTowerType('SupportTower', SupportTower);
+            this.towerPlacementSystem.registerTowerType('RadarTower', RadarTower);
+        }
+        if (this.waveManager) {
+            this.waveManager.registerEnemyType('BasicEnemy', BasicEnemy);
+            this.waveManager.registerEnemyType('ArmoredEnemy', ArmoredEnemy);
+            this.waveManager.registerEnemyType('FastEnemy', FastEnemy);
+            this.waveManager.registerEnemyType('HealerEnemy', HealerEnemy);
+            this.waveManager.registerEnemyType('FlyingEnemy', FlyingEnemy);
+            this.waveManager.registerEnemyType('SplittingEnemy', SplittingEnemy);
+            this.waveManager.registerEnemyType('StealthEnemy', StealthEnemy);
+            this.waveManager.registerEnemyType('SapperEnemy', SapperEnemy);
+            this.waveManager.registerEnemyType('BossEnemy', BossEnemy);
+            this.waveManager.loadWaves(); // Validates wave enemy types, so it has to come after registration
+
+            // Endless play: waves after the hand-authored ones are generated. cost is taken from the wave's budget.
+            const waveGenerator = new WaveGenerator({ bossType: 'BossEnemy', bossInterval: 10 });
+            waveGenerator.addEnemyType('BasicEnemy', { cost: 10, unlockWave: 1, spawnDelay: 0.7 });
+            waveGenerator.addEnemyType('FastEnemy', { cost: 8, unlockWave: 3, spawnDelay: 0.5 });
+            waveGenerator.addEnemyType('ArmoredEnemy', { cost: 25, unlockWave: 4, spawnDelay: 1.3 });
+            waveGenerator.addEnemyType('SplittingEnemy', { cost: 25, unlockWave: 4, spawnDelay: 1.2 });
+            waveGenerator.addEnemyType('HealerEnemy', { cost: 30, unlockWave: 5, spawnDelay: 1.0 });
+            waveGenerator.addEnemyType('FlyingEnemy', { cost: 20, unlockWave: 5, spawnDelay: 1.0 });
+            waveGenerator.addEnemyType('StealthEnemy', { cost: 22, unlockWave: 6, spawnDelay: 0.8 });
+            waveGenerator.addEnemyType('SapperEnemy', { cost: 28, unlockWave: 6, spawnDelay: 1.0 });
+            this.waveManager.setWaveGenerator(waveGenerator);
+        }
     }
 
     startGameLoop() {
@@ -151,8 +222,7 @@ class Game {
         // if (this.waveManager) this.waveManager.update(dt);
         // if (this.enemyManager) this.enemyManager.updateEnemies(dt);
         // if (this.munitionsManager) this.munitionsManager.updateMunitions(dt);
-        // // Towers update: if (this.towers) this.towers.forEach(tower => tower.update(dt));
-        // if (this.towerPlacementSystem) this.towerPlacementSystem.update(dt);
+        // if (this.towerPlacementSystem) this.towerPlacementSystem.update(dt); // Also updates placed towers
         // if (this.playerBase) this.playerBase.update(dt);
 
         // Game over is now event-driven by playerBase.hp <= 0
@@ -176,7 +246,7 @@ class Game {
         // if (this.playerBase) this.playerBase.draw(this.ctx);
         // if (this.enemyManager) this.enemyManager.drawEnemies(this.ctx);
         // if (this.munitionsManager) this.munitionsManager.drawMunitions(this.ctx);
-        // // if (this.towers) this.towers.forEach(tower => tower.draw(this.ctx));
+        // if (this.towerPlacementSystem) this.towerPlacementSystem.drawTowers(this.ctx);
         // if (this.towerPlacementSystem) this.towerPlacementSystem.draw(this.ctx);
 
 
@@ -231,6 +301,9 @@ class Game {
     }
 }
 
+// Balancing overrides on top of the class stats and built-in waves, empty as shipped. See ContentLoader for the format.
+Game.CONTENT_FILE = 'content/game_content.json';
+
 // Initialize and start the game when the DOM is ready
 window.addEventListener('DOMContentLoaded', () => {
     const game = new Game();